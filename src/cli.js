@@ -7,7 +7,10 @@ import ora from 'ora';
 import fs from 'fs';
 import path from 'path';
 import { CSVParser } from './csvparser.js';
-import { getSupportedFormats } from './formatters/index.js';
+import { getSupportedFormats, createFormatter } from './formatters/index.js';
+import { sniffDialect } from './readers/index.js';
+import { mergeParts } from './merging/index.js';
+import { verifyOutput } from './manifest/index.js';
 
 /**
  * Enhanced Command Line Interface for CSV Big-to-Small File Converter
@@ -15,6 +18,100 @@ import { getSupportedFormats } from './formatters/index.js';
 
 const supportedFormats = getSupportedFormats();
 
+// Input dialect options shared by every command that reads a CSV file
+const dialectOptions = {
+    delimiter: {
+        alias: 'd',
+        describe: 'Input field delimiter (e.g. ",", ";", "|", "tab")',
+        type: 'string'
+    },
+    quote: {
+        describe: 'Input quote character',
+        type: 'string'
+    },
+    escape: {
+        describe: 'Input escape character (defaults to the quote character)',
+        type: 'string'
+    },
+    encoding: {
+        describe: 'Input text encoding (e.g. utf8, latin1, utf16le)',
+        type: 'string'
+    }
+};
+
+// JSON output options shared by the commands that write rows
+const jsonOptions = {
+    indent: {
+        describe: 'Pretty-print JSON output with this many spaces of indentation',
+        type: 'number'
+    },
+    nest: {
+        describe: 'Turn dotted headers such as address.city into nested JSON objects',
+        type: 'boolean',
+        default: false
+    }
+};
+
+// SQL output options shared by the commands that write rows
+const sqlOptions = {
+    table: {
+        describe: 'Table name for SQL output, optionally schema-qualified (default: input file name)',
+        type: 'string'
+    },
+    'sql-dialect': {
+        describe: 'SQL dialect for identifier quoting, literals and column types',
+        type: 'string',
+        choices: ['postgres', 'mysql', 'sqlite'],
+        default: 'postgres'
+    },
+    'rows-per-statement': {
+        describe: 'Rows per INSERT statement in SQL output',
+        type: 'number',
+        default: 500
+    },
+    copy: {
+        describe: 'Write a COPY ... FROM stdin block instead of INSERT statements (postgres)',
+        type: 'boolean',
+        default: false
+    },
+    'create-table': {
+        describe: 'Start every SQL part with CREATE TABLE IF NOT EXISTS (--no-create-table to skip)',
+        type: 'boolean',
+        default: true
+    }
+};
+
+/**
+ * Map SQL output command line arguments to CSVParser options
+ */
+function getSQLOptions(argv) {
+    return {
+        table: argv.table,
+        dialect: argv.sqlDialect,
+        rowsPerStatement: argv.rowsPerStatement,
+        copy: argv.copy,
+        createTable: argv.createTable
+    };
+}
+
+/**
+ * Map dialect command line arguments to CSVParser options
+ */
+function getDialectOptions(argv, config = {}) {
+    const options = {};
+    const delimiter = argv.delimiter || config.inputDelimiter;
+    const quote = argv.quote || config.quoteChar;
+    const escape = argv.escape || config.escapeChar;
+    const encoding = argv.encoding || config.inputEncoding;
+
+    if (delimiter) options.inputDelimiter = delimiter;
+    if (quote) options.quoteChar = quote;
+    if (escape) options.escapeChar = escape;
+    if (encoding) options.inputEncoding = encoding;
+
+    return options;
+}
+
 // Create the CLI with yargs
 const cli = yargs(hideBin(process.argv))
     .scriptName('csv-converter')
@@ -27,12 +124,218 @@ const cli = yargs(hideBin(process.argv))
     .example('$0 split input.csv -o ./output -r 50000', 'Split CSV into files with 50,000 rows each')
     .example('$0 split input.csv -f json --multi', 'Convert to JSON format using multi-threading')
     .example('$0 split input.csv --include-columns "name,email,age"', 'Only include specific columns')
+    .example('$0 sample input.csv -n 1000 --seed 42 -o sample.csv', 'Draw 1,000 random rows reproducibly')
+    .example('$0 merge ./output -o merged.csv', 'Reassemble split parts into one file')
+    .example('$0 verify ./output --check-input', 'Check parts against the manifest and the input')
     .epilogue('For more information, visit: https://github.com/yourusername/csv-big-to-small-file-converter');
 
+/**
+ * Options shared by the split and sample-split commands
+ */
+function addSplitOptions(yargs) {
+    return yargs
+        .positional('input', {
+            describe: 'Input CSV file path',
+            type: 'string',
+            demandOption: true
+        })
+        .option('output', {
+            alias: 'o',
+            describe: 'Output directory for split files',
+            type: 'string',
+            default: './split_csv_output'
+        })
+        .option('rows', {
+            alias: 'r',
+            describe: 'Maximum rows per output file (default: 100000, or no row limit when only --max-size is given)',
+            type: 'number'
+        })
+        .option('parts', {
+            describe: 'Split into N parts whose row counts differ by at most one (counts rows first)',
+            type: 'number'
+        })
+        .option('max-size', {
+            describe: 'Maximum size per output file, e.g. 500KB, 100MB, 1GB (combinable with --rows)',
+            type: 'string'
+        })
+        .option('keep-together', {
+            describe: 'Comma-separated key columns whose rows are never split across parts (input sorted by key)',
+            type: 'string'
+        })
+        .option('max-group-overflow', {
+            describe: 'Extra rows a full part may take to keep a group together (default: 10000)',
+            type: 'number'
+        })
+        .option('partition-by', {
+            describe: 'Comma-separated columns to partition output by (writes column=value directories)',
+            type: 'string'
+        })
+        .option('partition-by-date', {
+            describe: 'Date/datetime column to partition output by into yyyy/mm/dd directories',
+            type: 'string'
+        })
+        .option('date-granularity', {
+            describe: 'Directory depth for --partition-by-date',
+            type: 'string',
+            choices: ['year', 'month', 'day', 'hour'],
+            default: 'day'
+        })
+        .option('timezone', {
+            describe: 'IANA time zone used to read dates for --partition-by-date (e.g. Europe/Berlin)',
+            type: 'string',
+            default: 'UTC'
+        })
+        .option('bucket-by', {
+            describe: 'Comma-separated key columns to hash into a fixed number of buckets (use with --buckets)',
+            type: 'string'
+        })
+        .option('buckets', {
+            describe: 'Number of buckets for --bucket-by',
+            type: 'number'
+        })
+        .option('max-open-files', {
+            describe: 'Maximum number of output files open at once when partitioning',
+            type: 'number'
+        })
+        .option('name-template', {
+            describe: 'Output file name template, e.g. "{input}/{partition}/part-{index:04}{ext}" (placeholders: {input}, {index}, {date}, {timestamp}, {partition}, {firstKey}, {lastKey}, {rows}, {ext})',
+            type: 'string'
+        })
+        .option('name-key', {
+            describe: 'Comma-separated columns for {firstKey}/{lastKey} (defaults to --keep-together)',
+            type: 'string'
+        })
+        .option('format', {
+            alias: 'f',
+            describe: 'Output format',
+            type: 'string',
+            choices: supportedFormats,
+            default: 'csv'
+        })
+        .option('row-group-size', {
+            describe: 'Rows per Parquet row group (also the rows used to infer column types)',
+            type: 'number',
+            default: 10000
+        })
+        .option('compression', {
+            describe: 'Parquet column compression',
+            type: 'string',
+            choices: ['snappy', 'gzip', 'none'],
+            default: 'snappy'
+        })
+        .option('batch-size', {
+            describe: 'Rows per Arrow record batch (also the rows used to infer column types)',
+            type: 'number',
+            default: 10000
+        })
+        .option('arrow-format', {
+            describe: 'Arrow IPC format: file (.arrow, random access) or stream (.arrows)',
+            type: 'string',
+            choices: ['file', 'stream'],
+            default: 'file'
+        })
+        .options(jsonOptions)
+        .options(sqlOptions)
+        .option('multi', {
+            alias: 'm',
+            describe: 'Enable multi-threading',
+            type: 'boolean',
+            default: false
+        })
+        .option('workers', {
+            alias: 'w',
+            describe: 'Number of worker threads',
+            type: 'number',
+            default: 4
+        })
+        .option('max-memory', {
+            describe: 'Memory budget in MB for multi-threaded processing (limits workers and buffering)',
+            type: 'number'
+        })
+        .option('include-columns', {
+            describe: 'Comma-separated list of columns to include',
+            type: 'string'
+        })
+        .option('exclude-columns', {
+            describe: 'Comma-separated list of columns to exclude',
+            type: 'string'
+        })
+        .option('type-conversions', {
+            describe: 'JSON string of column type conversions (e.g., \'{"age":"number","active":"boolean"}\')',
+            type: 'string'
+        })
+        .option('validation', {
+            describe: 'JSON string of validation rules',
+            type: 'string'
+        })
+        .option('config', {
+            alias: 'c',
+            describe: 'Configuration file path (JSON)',
+            type: 'string'
+        })
+        .option('manifest', {
+            describe: 'Write manifest.json with every part\'s rows, size, SHA-256 and source rows (--no-manifest to skip)',
+            type: 'boolean',
+            default: true
+        })
+        .option('stats', {
+            describe: 'Generate statistics report',
+            type: 'boolean',
+            default: false
+        })
+        .option('quiet', {
+            alias: 'q',
+            describe: 'Suppress progress output',
+            type: 'boolean',
+            default: false
+        })
+        .options(dialectOptions)
+        .option('dialect', {
+            describe: 'Detect the input dialect automatically (explicit dialect options still win)',
+            type: 'string',
+            choices: ['auto']
+        });
+}
+
 // Split command
 cli.command(
     'split <input>',
     'Split a large CSV file into smaller files',
+    (yargs) => addSplitOptions(yargs),
+    async (argv) => {
+        await handleSplitCommand(argv);
+    }
+);
+
+// Sample split command
+cli.command(
+    'sample-split <input>',
+    'Randomly split rows into named sets (e.g. train/test/val), each split into parts',
+    (yargs) => {
+        return addSplitOptions(yargs)
+            .option('ratios', {
+                describe: 'Named sets and their ratios, e.g. "train=0.8,test=0.1,val=0.1"',
+                type: 'string',
+                demandOption: true
+            })
+            .option('seed', {
+                describe: 'Random seed; the same seed and input always give the same sets (default: random, printed)',
+                type: 'string'
+            })
+            .option('stratify-by', {
+                describe: 'Label column whose class proportions are kept in every set',
+                type: 'string'
+            });
+    },
+    async (argv) => {
+        await handleSplitCommand(argv);
+    }
+);
+
+// Sample command
+cli.command(
+    'sample <input>',
+    'Draw a uniform random sample of rows in one pass (optionally per value of a column)',
     (yargs) => {
         return yargs
             .positional('input', {
@@ -40,72 +343,118 @@ cli.command(
                 type: 'string',
                 demandOption: true
             })
+            .option('size', {
+                alias: 'n',
+                describe: 'Number of rows to sample (per value of --by, when given)',
+                type: 'number',
+                demandOption: true
+            })
+            .option('by', {
+                describe: 'Column to stratify by: sample --size rows for every value',
+                type: 'string'
+            })
+            .option('seed', {
+                describe: 'Random seed; the same seed and input always give the same sample (default: random, printed)',
+                type: 'string'
+            })
             .option('output', {
                 alias: 'o',
-                describe: 'Output directory for split files',
-                type: 'string',
-                default: './split_csv_output'
-            })
-            .option('rows', {
-                alias: 'r',
-                describe: 'Maximum rows per output file',
-                type: 'number',
-                default: 100000
+                describe: 'Output file path (default: ./sample with the format extension)',
+                type: 'string'
             })
             .option('format', {
                 alias: 'f',
                 describe: 'Output format',
-                type: 'string',
                 choices: supportedFormats,
                 default: 'csv'
             })
-            .option('multi', {
-                alias: 'm',
-                describe: 'Enable multi-threading',
+            .options(jsonOptions)
+            .options(sqlOptions)
+            .option('quiet', {
+                alias: 'q',
+                describe: 'Suppress progress output',
                 type: 'boolean',
                 default: false
             })
-            .option('workers', {
-                alias: 'w',
-                describe: 'Number of worker threads',
-                type: 'number',
-                default: 4
-            })
-            .option('include-columns', {
-                describe: 'Comma-separated list of columns to include',
+            .options(dialectOptions)
+            .option('dialect', {
+                describe: 'Detect the input dialect automatically (explicit dialect options still win)',
+                type: 'string',
+                choices: ['auto']
+            });
+    },
+    async (argv) => {
+        await handleSampleCommand(argv);
+    }
+);
+
+// Merge command
+cli.command(
+    'merge <inputs..>',
+    'Merge split parts (directories, globs or files, in any output format) into one file',
+    (yargs) => {
+        return yargs
+            .positional('inputs', {
+                describe: 'Part files, directories of parts or quoted globs such as "output/*.csv"',
                 type: 'string'
             })
-            .option('exclude-columns', {
-                describe: 'Comma-separated list of columns to exclude',
+            .option('output', {
+                alias: 'o',
+                describe: 'Output file path, or - for stdout (default: ./merged with the format extension)',
                 type: 'string'
             })
-            .option('type-conversions', {
-                describe: 'JSON string of column type conversions (e.g., \'{"age":"number","active":"boolean"}\')',
-                type: 'string'
+            .option('format', {
+                alias: 'f',
+                describe: 'Output format',
+                choices: supportedFormats,
+                default: 'csv'
             })
-            .option('validation', {
-                describe: 'JSON string of validation rules',
-                type: 'string'
+            .option('union', {
+                describe: 'Merge parts with different headers into the union of all columns instead of failing',
+                type: 'boolean',
+                default: false
             })
-            .option('config', {
-                alias: 'c',
-                describe: 'Configuration file path (JSON)',
+            .option('quiet', {
+                alias: 'q',
+                describe: 'Suppress progress output',
+                type: 'boolean',
+                default: false
+            });
+    },
+    async (argv) => {
+        await handleMergeCommand(argv);
+    }
+);
+
+// Verify command
+cli.command(
+    'verify <outputDir>',
+    'Check an output directory against its manifest.json (exits non-zero on any mismatch)',
+    (yargs) => {
+        return yargs
+            .positional('outputDir', {
+                describe: 'Output directory containing manifest.json',
                 type: 'string'
             })
-            .option('stats', {
-                describe: 'Generate statistics report',
+            .option('check-input', {
+                describe: 'Also re-read the original input and confirm its row count',
                 type: 'boolean',
                 default: false
             })
+            .option('input', {
+                alias: 'i',
+                describe: 'Input file to check instead of the path recorded in the manifest (implies --check-input)',
+                type: 'string'
+            })
             .option('quiet', {
                 alias: 'q',
-                describe: 'Suppress progress output',
+                describe: 'Only report problems',
                 type: 'boolean',
                 default: false
             });
     },
     async (argv) => {
-        await handleSplitCommand(argv);
+        await handleVerifyCommand(argv);
     }
 );
 
@@ -122,10 +471,16 @@ cli.command(
             })
             .option('sample', {
                 alias: 's',
-                describe: 'Number of sample rows to display',
+                describe: 'Number of rows to display from the start of the file (0 to skip)',
                 type: 'number',
                 default: 5
-            });
+            })
+            .option('sample-kb', {
+                describe: 'Kilobytes to sample from the start of the file for dialect detection',
+                type: 'number',
+                default: 64
+            })
+            .options(dialectOptions);
     },
     async (argv) => {
         await handleInfoCommand(argv);
@@ -151,7 +506,8 @@ cli.command(
                 alias: 'c',
                 describe: 'Configuration file path (JSON)',
                 type: 'string'
-            });
+            })
+            .options(dialectOptions);
     },
     async (argv) => {
         await handleValidateCommand(argv);
@@ -178,14 +534,40 @@ async function handleSplitCommand(argv) {
             inputFilePath: argv.input,
             outputDirectory: argv.output,
             maxRowsPerFile: argv.rows,
+            maxBytesPerFile: argv.maxSize,
+            targetParts: argv.parts,
+            keepTogether: argv.keepTogether,
+            nameTemplate: argv.nameTemplate,
+            nameKey: argv.nameKey,
+            maxGroupOverflow: argv.maxGroupOverflow,
+            partitionBy: argv.partitionBy,
+            maxOpenFiles: argv.maxOpenFiles,
+            bucketBy: argv.bucketBy ? { columns: argv.bucketBy, buckets: argv.buckets } : undefined,
+            sampleSplit: argv.ratios
+                ? { ratios: argv.ratios, seed: argv.seed, stratifyBy: argv.stratifyBy }
+                : undefined,
+            partitionByDate: argv.partitionByDate
+                ? { column: argv.partitionByDate, granularity: argv.dateGranularity, timezone: argv.timezone }
+                : undefined,
             outputFormat: argv.format,
+            json: { indent: argv.indent, nest: argv.nest },
+            parquet: { rowGroupSize: argv.rowGroupSize, compression: argv.compression },
+            sql: getSQLOptions(argv),
+            arrow: { batchSize: argv.batchSize, format: argv.arrowFormat },
             useMultipleProcesses: argv.multi,
             processCount: argv.workers,
+            maxMemoryMB: argv.maxMemory,
             generateStats: argv.stats,
+            manifest: argv.manifest,
             quiet: argv.quiet,
-            ...config
+            ...config,
+            ...getDialectOptions(argv, config)
         };
 
+        if (argv.dialect === 'auto') {
+            options.autoDetectDialect = true;
+        }
+
         // Parse transformations
         if (argv.includeColumns || config.includeColumns) {
             const columns = argv.includeColumns || config.includeColumns;
@@ -231,11 +613,63 @@ async function handleSplitCommand(argv) {
             console.log(chalk.cyan('Configuration:'));
             console.log(`  Input file: ${chalk.white(options.inputFilePath)}`);
             console.log(`  Output directory: ${chalk.white(options.outputDirectory)}`);
-            console.log(`  Max rows per file: ${chalk.white(options.maxRowsPerFile.toLocaleString())}`);
+            if (options.targetParts) {
+                console.log(`  Balanced parts: ${chalk.white(options.targetParts)}`);
+            } else if (options.maxRowsPerFile || !options.maxBytesPerFile) {
+                console.log(`  Max rows per file: ${chalk.white((options.maxRowsPerFile || 100000).toLocaleString())}`);
+            }
+            if (options.maxBytesPerFile) {
+                console.log(`  Max size per file: ${chalk.white(options.maxBytesPerFile)}`);
+            }
             console.log(`  Output format: ${chalk.white(options.outputFormat.toUpperCase())}`);
+            if (options.outputFormat === 'sql') {
+                const { dialect = 'postgres', copy } = options.sql || {};
+                console.log(`  SQL: ${chalk.white(`${dialect}, ${copy ? 'COPY block' : 'INSERT statements'}`)}`);
+            }
+            if (options.outputFormat === 'parquet') {
+                const { rowGroupSize = 10000, compression = 'snappy' } = options.parquet || {};
+                console.log(`  Parquet: ${chalk.white(`${rowGroupSize.toLocaleString()} rows per row group, ${compression} compression`)}`);
+            }
+            if (options.outputFormat === 'arrow') {
+                const { batchSize = 10000, format = 'file' } = options.arrow || {};
+                console.log(`  Arrow: ${chalk.white(`${format} format, ${batchSize.toLocaleString()} rows per record batch`)}`);
+            }
             console.log(`  Multi-threading: ${chalk.white(options.useMultipleProcesses ? 'Enabled' : 'Disabled')}`);
+            if (options.sampleSplit) {
+                const { ratios, stratifyBy } = options.sampleSplit;
+                const sets = typeof ratios === 'string' ? ratios : Object.entries(ratios).map(([name, ratio]) => `${name}=${ratio}`).join(',');
+                console.log(`  Sample split: ${chalk.white(sets)}${stratifyBy ? chalk.white(` (stratified by ${stratifyBy})`) : ''}`);
+            }
+            if (options.nameTemplate) {
+                console.log(`  Name template: ${chalk.white(options.nameTemplate)}`);
+            }
+            if (options.keepTogether) {
+                const columns = Array.isArray(options.keepTogether) ? options.keepTogether.join(', ') : options.keepTogether;
+                console.log(`  Keep together: ${chalk.white(columns)}`);
+            }
+            if (options.partitionBy) {
+                const columns = Array.isArray(options.partitionBy) ? options.partitionBy.join(', ') : options.partitionBy;
+                console.log(`  Partitioned by: ${chalk.white(columns)}`);
+            }
+            if (options.partitionByDate) {
+                const { column, granularity = 'day', timezone = 'UTC' } = options.partitionByDate;
+                console.log(`  Partitioned by date: ${chalk.white(`${column} (${granularity}, ${timezone})`)}`);
+            }
+            if (options.bucketBy) {
+                const { columns, buckets } = options.bucketBy;
+                console.log(`  Bucketed by: ${chalk.white(`${Array.isArray(columns) ? columns.join(', ') : columns} (${buckets} buckets)`)}`);
+            }
             if (options.useMultipleProcesses) {
                 console.log(`  Worker threads: ${chalk.white(options.processCount)}`);
+                if (options.maxMemoryMB) {
+                    console.log(`  Memory budget: ${chalk.white(`${options.maxMemoryMB} MB`)}`);
+                }
+            }
+            if (options.inputDelimiter) {
+                console.log(`  Input delimiter: ${chalk.white(JSON.stringify(options.inputDelimiter))}`);
+            }
+            if (options.inputEncoding) {
+                console.log(`  Input encoding: ${chalk.white(options.inputEncoding)}`);
             }
             if (options.transformations) {
                 console.log(`  Transformations: ${chalk.white('Enabled')}`);
@@ -245,7 +679,15 @@ async function handleSplitCommand(argv) {
 
         // Create and run parser
         const parser = new CSVParser(options);
-        await parser.process();
+
+        // Ctrl+C stops outstanding work before exiting with an error
+        const onInterrupt = () => parser.cancel();
+        process.once('SIGINT', onInterrupt);
+        try {
+            await parser.process();
+        } finally {
+            process.removeListener('SIGINT', onInterrupt);
+        }
 
         if (!options.quiet) {
             console.log(chalk.green.bold('\n✅ Processing completed successfully!'));
@@ -257,6 +699,170 @@ async function handleSplitCommand(argv) {
     }
 }
 
+/**
+ * Handle sample command
+ */
+async function handleSampleCommand(argv) {
+    try {
+        if (!fs.existsSync(argv.input)) {
+            console.error(chalk.red(`❌ Input file not found: ${argv.input}`));
+            process.exit(1);
+        }
+
+        const outputFile = argv.output || `./sample${createFormatter(argv.format).getFileExtension()}`;
+        const parser = new CSVParser({
+            inputFilePath: argv.input,
+            outputFormat: argv.format,
+            json: { indent: argv.indent, nest: argv.nest },
+            sql: getSQLOptions(argv),
+            autoDetectDialect: argv.dialect === 'auto',
+            quiet: true,
+            ...getDialectOptions(argv)
+        });
+
+        const spinner = argv.quiet ? null : ora('Sampling rows...').start();
+
+        // Ctrl+C stops reading before exiting with an error
+        const onInterrupt = () => parser.cancel();
+        process.once('SIGINT', onInterrupt);
+        let result;
+        try {
+            result = await parser.sample({
+                size: argv.size,
+                by: argv.by,
+                seed: argv.seed,
+                outputFile
+            });
+        } finally {
+            process.removeListener('SIGINT', onInterrupt);
+            if (spinner) spinner.stop();
+        }
+
+        if (!argv.quiet) {
+            console.log(chalk.blue.bold('🎲 Random Sample\n'));
+            console.log(`Rows read: ${chalk.white(result.rowsRead.toLocaleString())}`);
+            console.log(`Rows sampled: ${chalk.white(result.rowsSampled.toLocaleString())}`);
+            console.log(`Seed: ${chalk.white(result.seed)}`);
+            if (result.strata) {
+                console.log(chalk.cyan(`\nStrata by ${argv.by}:`));
+                result.strata.forEach(({ value, seen, sampled }) => {
+                    console.log(`  ${value === '' ? '(empty)' : value}: ${chalk.white(sampled.toLocaleString())} of ${seen.toLocaleString()}`);
+                });
+            }
+            console.log(chalk.green.bold(`\n✅ Sample saved to ${outputFile}`));
+        }
+
+    } catch (error) {
+        console.error(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+/**
+ * Handle merge command
+ */
+async function handleMergeCommand(argv) {
+    try {
+        const outputFile = argv.output || `./merged${createFormatter(argv.format).getFileExtension()}`;
+        // Progress output would end up in the merged data when writing to stdout
+        const quiet = argv.quiet || outputFile === '-';
+        if (outputFile === '-') {
+            // The reader went away (e.g. piped into head): stop quietly
+            process.stdout.on('error', (error) => {
+                if (error.code === 'EPIPE') process.exit(0);
+            });
+        }
+
+        const result = await mergeParts({
+            inputs: argv.inputs,
+            outputFile,
+            outputFormat: argv.format,
+            unionHeaders: argv.union,
+            quiet
+        });
+
+        if (!quiet) {
+            console.log(chalk.green.bold(`\n✅ Merged ${result.totalRows.toLocaleString()} rows from ${result.files.length} parts into ${outputFile}`));
+        }
+
+    } catch (error) {
+        console.error(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+/**
+ * Handle verify command
+ */
+async function handleVerifyCommand(argv) {
+    try {
+        const spinner = argv.quiet ? null : ora('Verifying parts...').start();
+        let report;
+        try {
+            report = await verifyOutput(argv.outputDir, {
+                checkInput: argv.checkInput,
+                inputFilePath: argv.input
+            });
+        } finally {
+            if (spinner) spinner.stop();
+        }
+
+        if (!argv.quiet) {
+            console.log(chalk.blue.bold('🔎 Output Verification\n'));
+            console.log(`Directory: ${chalk.white(argv.outputDir)}`);
+            console.log(`Parts in manifest: ${chalk.white(report.parts.length)}`);
+            console.log(`Rows in manifest: ${chalk.white(report.manifest.totalRows.toLocaleString())}\n`);
+        }
+
+        for (const part of report.parts) {
+            const { expected } = part;
+            if (part.status === 'missing') {
+                console.log(chalk.red(`❌ Missing: ${part.path}`));
+            } else if (part.status === 'truncated') {
+                console.log(chalk.red(`❌ Truncated: ${part.path} (${part.bytes.toLocaleString()} of ${expected.bytes.toLocaleString()} bytes)`));
+            } else if (part.status === 'modified') {
+                const details = [
+                    part.bytes !== expected.bytes ? `${part.bytes.toLocaleString()} bytes, expected ${expected.bytes.toLocaleString()}` : null,
+                    part.sha256 !== expected.sha256 ? 'checksum differs' : null,
+                    part.counted && part.rows !== expected.rows ? `${part.rows === null ? 'unreadable' : `${part.rows.toLocaleString()} rows`}, expected ${expected.rows.toLocaleString()}` : null
+                ].filter(Boolean).join('; ');
+                console.log(chalk.red(`❌ Modified: ${part.path} (${details})`));
+            } else if (!argv.quiet) {
+                console.log(chalk.green(`✅ ${part.path} (${expected.rows.toLocaleString()} rows)`));
+            }
+        }
+
+        report.extra.forEach(file => console.log(chalk.red(`❌ Extra file not in manifest: ${file}`)));
+
+        if (!report.totals.ok) {
+            console.log(chalk.red(`❌ Parts add up to ${report.totals.rows.toLocaleString()} rows, but the manifest records ${report.totals.expected.toLocaleString()}`));
+        }
+
+        if (report.input) {
+            const { input } = report;
+            if (input.rows === null) {
+                console.log(chalk.red(`❌ Input not found: ${input.path}`));
+            } else if (!input.ok) {
+                console.log(chalk.red(`❌ Input has ${input.rows.toLocaleString()} rows; the manifest records ${input.expected.toLocaleString()} read and ${(report.manifest.totalRows + report.manifest.rejectedRows).toLocaleString()} written or rejected`));
+            } else if (!argv.quiet) {
+                console.log(chalk.green(`✅ Input row count matches: ${input.rows.toLocaleString()} rows (${report.manifest.rejectedRows.toLocaleString()} rejected)`));
+            }
+        }
+
+        if (!report.ok) {
+            console.error(chalk.red.bold('\n❌ Verification failed'));
+            process.exit(1);
+        }
+        if (!argv.quiet) {
+            console.log(chalk.green.bold('\n✅ Output matches the manifest'));
+        }
+
+    } catch (error) {
+        console.error(chalk.red(`❌ Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
 /**
  * Handle info command
  */
@@ -269,9 +875,17 @@ async function handleInfoCommand(argv) {
 
         const spinner = ora('Analyzing CSV file...').start();
 
+        // Sniff the dialect from the start of the file
+        const detected = await sniffDialect(argv.input, { sampleBytes: argv.sampleKb * 1024 });
+
         const parser = new CSVParser({
             inputFilePath: argv.input,
-            generateStats: true
+            generateStats: true,
+            quiet: true,
+            inputDelimiter: detected.delimiter,
+            quoteChar: detected.quote,
+            inputEncoding: Buffer.isEncoding(detected.encoding) ? detected.encoding : undefined,
+            ...getDialectOptions(argv)
         });
 
         // Get file stats
@@ -291,6 +905,24 @@ async function handleInfoCommand(argv) {
         console.log(`Created: ${chalk.white(stats.birthtime.toISOString().split('T')[0])}`);
         console.log(`Modified: ${chalk.white(stats.mtime.toISOString().split('T')[0])}`);
 
+        console.log(chalk.cyan(`\nDetected dialect (sampled ${detected.sampleBytes.toLocaleString()} bytes):`));
+        console.log(`  Delimiter: ${chalk.white(JSON.stringify(detected.delimiter))}`);
+        console.log(`  Quote character: ${chalk.white(JSON.stringify(detected.quote))}`);
+        console.log(`  Line terminator: ${chalk.white(detected.lineTerminator)}`);
+        console.log(`  BOM: ${chalk.white(detected.bom || 'none')}`);
+        console.log(`  Encoding: ${chalk.white(detected.encoding)}`);
+        console.log(`  Header row: ${chalk.white(detected.hasHeader ? 'yes' : 'no (first row looks like data)')}`);
+        console.log(chalk.gray(`  Use with split: -d ${JSON.stringify(detected.delimiter)} --quote ${JSON.stringify(detected.quote)} --encoding ${detected.encoding} (or --dialect auto)`));
+
+        if (argv.sample > 0) {
+            console.log(chalk.cyan(`\nFirst ${argv.sample} rows (use the sample command for a random sample):`));
+            let shown = 0;
+            for await (const row of parser.readTransformedRows(null)) {
+                console.log(`  ${parser.headers.map(header => row[header]).join(', ')}`);
+                if (++shown >= argv.sample) break;
+            }
+        }
+
     } catch (error) {
         console.error(chalk.red(`❌ Error: ${error.message}`));
         process.exit(1);
@@ -308,17 +940,31 @@ async function handleValidateCommand(argv) {
         }
 
         let validationRules = {};
-        
+        let config = {};
+
+        if (argv.config && fs.existsSync(argv.config)) {
+            config = JSON.parse(fs.readFileSync(argv.config, 'utf8'));
+        }
+
         if (argv.rules) {
             validationRules = JSON.parse(argv.rules);
-        } else if (argv.config && fs.existsSync(argv.config)) {
-            const config = JSON.parse(fs.readFileSync(argv.config, 'utf8'));
+        } else {
             validationRules = config.validation || {};
         }
 
+        const parser = new CSVParser({
+            inputFilePath: argv.input,
+            quiet: true,
+            ...getDialectOptions(argv, config)
+        });
+
+        // Detect headers with the configured dialect
+        await parser.detectHeaders();
+
         console.log(chalk.blue.bold('🔍 CSV File Validation\n'));
         console.log(`File: ${chalk.white(argv.input)}`);
-        
+        console.log(`Columns: ${chalk.white(parser.headers.length)}`);
+
         if (Object.keys(validationRules).length === 0) {
             console.log(chalk.yellow('⚠️  No validation rules provided. Performing basic structure validation only.'));
         } else {
@@ -1,40 +1,166 @@
 import fs from 'fs';
 import path from 'path';
-import csv from 'csv-parser';
-import { WorkerPool } from './workers/csv-worker.js';
-import { createFormatter } from './formatters/index.js';
+import { WorkerPool, OrderedBatchWriter } from './workers/csv-worker.js';
+import { createFormatter, assertNestableHeaders, InferredTypeError } from './formatters/index.js';
 import {
-    ColumnFilter,
-    DataTypeConverter,
-    DataValidator,
-    TransformationPipeline
-} from './transformers/index.js';
+    resolveDialect,
+    createInputStream,
+    createCSVStream,
+    sniffDialect,
+    findRecordBoundaries
+} from './readers/index.js';
+import { createTransformationPipeline } from './transformers/index.js';
+import {
+    PartWriter,
+    PartitionedWriter,
+    ColumnPartitioner,
+    DatePartitioner,
+    BucketPartitioner,
+    NameTemplate,
+    PartPathCollisionError,
+    DEFAULT_NAME_TEMPLATE,
+    createNameContext
+} from './writers/index.js';
+import {
+    SampleSplitPartitioner,
+    ReservoirSampler,
+    StratifiedSampler,
+    createRandom,
+    randomSeed
+} from './sampling/index.js';
+import {
+    MANIFEST_FILE,
+    MANIFEST_VERSION,
+    hashFile,
+    describePart,
+    writeManifest
+} from './manifest/index.js';
+
+const BYTE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+/**
+ * Parse a byte size such as 1048576, "512KB", "100MB" or "1.5GB" (binary units)
+ */
+function parseByteSize(size) {
+    if (size === undefined || size === null || size === '') return null;
+    if (typeof size === 'number' && size > 0) return Math.floor(size);
+
+    const match = String(size).trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?b)?$/i);
+    if (!match || Number(match[1]) <= 0) {
+        throw new Error(`Invalid size: ${size} (expected e.g. 500KB, 100MB or 1GB)`);
+    }
+    return Math.floor(Number(match[1]) * BYTE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
 
 class CSVParser {
     constructor(options = {}) {
         this.inputFilePath = options.inputFilePath || 'users_202506020651.csv';
         this.outputDirectory = options.outputDirectory || './split_csv_output';
-        this.maxRowsPerFile = options.maxRowsPerFile || 100000;
+        this.maxBytesPerFile = parseByteSize(options.maxBytesPerFile);
+        // With only a size limit, parts are not also capped at the default row count
+        this.maxRowsPerFile = options.maxRowsPerFile || (this.maxBytesPerFile ? Infinity : 100000);
+        // Split into this many parts with row counts that differ by at most one (counts rows first)
+        this.targetParts = options.targetParts || null;
+        // Rows with the same values in these columns are never split across parts (within maxGroupOverflow extra rows)
+        this.keepTogether = typeof options.keepTogether === 'string'
+            ? options.keepTogether.split(',').map(column => column.trim()).filter(Boolean)
+            : options.keepTogether || [];
+        if (this.targetParts) {
+            if (!Number.isInteger(this.targetParts) || this.targetParts < 1) {
+                throw new Error(`Invalid number of parts: ${this.targetParts}`);
+            }
+            // Group overflow would break the "differ by at most one" row counts
+            if (options.partitionBy || options.partitionByDate || options.bucketBy || options.sampleSplit || this.maxBytesPerFile || this.keepTogether.length > 0) {
+                throw new Error('targetParts cannot be combined with partitioning, maxBytesPerFile or keepTogether');
+            }
+        }
+        this.maxGroupOverflow = options.maxGroupOverflow !== undefined ? options.maxGroupOverflow : 10000;
+        // Output file names, e.g. "{input}/{partition}/part-{index:04}{ext}"; validated up front
+        this.nameTemplate = new NameTemplate(options.nameTemplate || DEFAULT_NAME_TEMPLATE);
+        // Columns for {firstKey}/{lastKey} in the name template (defaults to keepTogether)
+        this.nameKey = typeof options.nameKey === 'string'
+            ? options.nameKey.split(',').map(column => column.trim()).filter(Boolean)
+            : options.nameKey || this.keepTogether;
+        if (this.nameTemplate.usesKey && this.nameKey.length === 0) {
+            throw new Error('Name template uses {firstKey}/{lastKey} but no key columns are set (nameKey or keepTogether)');
+        }
+        // Hive-style partition columns (array or comma-separated string); each partition gets its own parts
+        this.partitionBy = typeof options.partitionBy === 'string'
+            ? options.partitionBy.split(',').map(column => column.trim()).filter(Boolean)
+            : options.partitionBy || [];
+        // { column, granularity: 'year'|'month'|'day'|'hour', timezone } for yyyy/mm/dd directories
+        this.partitionByDate = options.partitionByDate || null;
+        // { columns, buckets }: a fixed number of bucket=N directories chosen by a stable hash of the key
+        this.bucketBy = options.bucketBy || null;
+
+        // { ratios: 'train=0.8,test=0.2' or { train: 0.8, ... }, seed, stratifyBy }: one directory per named set
+        this.sampleSplit = options.sampleSplit || null;
+
+        // Directory levels, outermost first: sample set, column values, date, bucket
+        this.partitioners = [];
+        if (this.sampleSplit) {
+            this.partitioners.push(new SampleSplitPartitioner(this.sampleSplit));
+        }
+        if (this.partitionBy.length > 0) {
+            this.partitioners.push(new ColumnPartitioner(this.partitionBy));
+        }
+        if (this.partitionByDate) {
+            this.partitioners.push(new DatePartitioner(this.partitionByDate));
+        }
+        if (this.bucketBy) {
+            this.partitioners.push(new BucketPartitioner(this.bucketBy));
+        }
+        this.maxOpenFiles = options.maxOpenFiles || 100;
+        // Write manifest.json (parts, row counts, checksums and run metadata) when a run completes
+        this.manifest = options.manifest !== false;
         this.useMultipleProcesses = options.useMultipleProcesses || false;
         this.processCount = options.processCount || 4;
 
         // New options for enhanced functionality
         this.outputFormat = options.outputFormat || 'csv';
+        // { indent, nest } for JSON output: pretty-print arrays, turn dotted headers into nested objects
+        this.json = options.json || {};
+        // { rowGroupSize, compression: 'snappy'|'gzip'|'none' } for Parquet output
+        this.parquet = options.parquet || {};
+        // { table, dialect: 'postgres'|'mysql'|'sqlite', rowsPerStatement, copy, createTable } for SQL output
+        this.sql = options.sql || {};
+        // { batchSize, format: 'file'|'stream' } for Arrow output
+        this.arrow = options.arrow || {};
         this.transformations = options.transformations || null;
         this.generateStats = options.generateStats || false;
         this.quiet = options.quiet || false;
         this.chunkSizeBytes = options.chunkSizeBytes || 50 * 1024 * 1024; // 50MB chunks
+        this.maxMemoryMB = options.maxMemoryMB || 512;
+
+        // Input dialect options
+        this.inputDelimiter = options.inputDelimiter || ',';
+        this.quoteChar = options.quoteChar || '"';
+        this.escapeChar = options.escapeChar || this.quoteChar;
+        this.inputEncoding = options.inputEncoding || 'utf8';
+        this.autoDetectDialect = options.autoDetectDialect || false;
+        this.dialect = resolveDialect(this);
+        this.detectedDialect = null;
+
+        // Explicit dialect options take precedence over anything auto-detected
+        this.explicitDialectOptions = {
+            inputDelimiter: options.inputDelimiter,
+            quoteChar: options.quoteChar,
+            escapeChar: options.escapeChar,
+            inputEncoding: options.inputEncoding
+        };
 
-        this.currentFileIndex = 1;
-        this.currentRowCount = 0;
         this.totalRowsProcessed = 0;
-        this.currentOutputStream = null;
+        // Input data rows read so far in the current pass, including rows that were filtered out
+        this.rowsRead = 0;
+        this.output = null;
         this.headers = [];
         this.outputHeaders = [];
         this.startTime = null;
-        this.formatter = null;
         this.transformationPipeline = null;
+        // Column types shared by every part of a run, so typed formats agree on one schema
+        this.outputSchema = {};
         this.workerPool = null;
+        this.cancelled = false;
     }
 
     ensureOutputDirectory() {
@@ -46,162 +172,131 @@ class CSVParser {
         }
     }
 
-    initializeFormatter() {
-        this.formatter = createFormatter(this.outputFormat, {
+    createOutputFormatter() {
+        return createFormatter(this.outputFormat, {
             rootElement: 'data',
-            rowElement: 'row'
+            rowElement: 'row',
+            indent: this.json.indent,
+            nest: this.json.nest,
+            columnTypes: this.transformations?.typeConversions,
+            schemaCache: this.outputSchema,
+            rowGroupSize: this.parquet.rowGroupSize,
+            compression: this.parquet.compression,
+            // The table is named after the input file unless configured
+            table: this.sql.table,
+            defaultTable: path.parse(this.inputFilePath).name,
+            dialect: this.sql.dialect,
+            rowsPerStatement: this.sql.rowsPerStatement,
+            copy: this.sql.copy,
+            createTable: this.sql.createTable,
+            batchSize: this.arrow.batchSize,
+            ipcFormat: this.arrow.format
         });
     }
 
     initializeTransformations() {
-        if (!this.transformations) return;
-
-        this.transformationPipeline = new TransformationPipeline();
-
-        // Add column filter
-        if (this.transformations.includeColumns || this.transformations.excludeColumns) {
-            const filter = new ColumnFilter(
-                this.transformations.includeColumns || [],
-                this.transformations.excludeColumns || []
-            );
-            this.transformationPipeline.addTransformer(filter);
-        }
-
-        // Add data type converter
-        if (this.transformations.typeConversions) {
-            const converter = new DataTypeConverter(this.transformations.typeConversions);
-            this.transformationPipeline.addTransformer(converter);
-        }
-
-        // Add validator
-        if (this.transformations.validation) {
-            const validator = new DataValidator(this.transformations.validation);
-            this.transformationPipeline.addTransformer(validator);
-        }
+        if (!this.transformations && !this.generateStats) return;
 
-        // Enable aggregation if stats are requested
-        if (this.generateStats) {
-            this.transformationPipeline.enableAggregation();
-        }
-    }
-    escapeCSVValue(value) {
-        if (value === null || value === undefined) return '';
-        const str = String(value);
-        if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
-            return `"${str.replace(/"/g, '""')}"`;
-        }
-        return str;
+        this.transformationPipeline = createTransformationPipeline(this.transformations || {}, {
+            generateStats: this.generateStats
+        });
     }
 
-    async createNewOutputStream() {
-        if (this.currentOutputStream) {
-            await this.formatter.writeFooter(this.currentOutputStream);
-            this.currentOutputStream.end();
-            if (!this.quiet) {
-                console.log(`✅ Completed file ${this.currentFileIndex - 1} with ${this.currentRowCount} records`);
-            }
+    /**
+     * Reject output headers the output format cannot write, before any file is created
+     */
+    checkOutputHeaders() {
+        if (['json', 'jsonl'].includes(this.outputFormat) && this.json.nest) {
+            assertNestableHeaders(this.outputHeaders);
         }
+    }
 
-        const timestamp = new Date().toISOString().split('T')[0];
-        const fileExtension = this.formatter.getFileExtension();
-        const outputFileName = `split_part_${this.currentFileIndex}_${timestamp}${fileExtension}`;
-        const outputFilePath = path.join(this.outputDirectory, outputFileName);
-
-        this.currentOutputStream = fs.createWriteStream(outputFilePath, { encoding: 'utf8' });
+    /**
+     * Set up where rows are written: one part sequence in the output directory,
+     * or one per partition when partitioning or bucketing
+     */
+    initializeOutput() {
+        this.checkOutputHeaders();
+        this.outputSchema = {};
+        const nameContext = createNameContext(this.inputFilePath, this.startTime || Date.now());
+        const partPaths = new Set();
+        const createPartWriter = (directory, partition) => new PartWriter({
+            directory,
+            outputDirectory: this.outputDirectory,
+            partition,
+            nameTemplate: this.nameTemplate,
+            nameContext,
+            partPaths,
+            keyColumns: this.nameKey,
+            formatter: this.createOutputFormatter(),
+            formatName: this.outputFormat,
+            headers: this.outputHeaders,
+            maxRowsPerFile: this.maxRowsPerFile,
+            maxBytesPerFile: this.maxBytesPerFile,
+            keepTogether: this.keepTogether,
+            maxGroupOverflow: this.maxGroupOverflow,
+            quiet: this.quiet
+        });
 
-        // Write headers using formatter
-        if (this.outputHeaders.length > 0) {
-            await this.formatter.writeHeader(this.currentOutputStream, this.outputHeaders);
+        const missingGroupColumns = this.keepTogether.filter(column => !this.outputHeaders.includes(column));
+        if (missingGroupColumns.length > 0) {
+            throw new Error(`keepTogether column(s) not found in output: ${missingGroupColumns.join(', ')}`);
         }
 
-        this.currentRowCount = 0;
-        if (!this.quiet) {
-            console.log(`📝 Created new ${this.outputFormat.toUpperCase()} file: ${outputFileName}`);
+        const missingKeyColumns = this.nameTemplate.usesKey
+            ? this.nameKey.filter(column => !this.outputHeaders.includes(column))
+            : [];
+        if (missingKeyColumns.length > 0) {
+            throw new Error(`nameKey column(s) not found in output: ${missingKeyColumns.join(', ')}`);
         }
-        this.currentFileIndex++;
-    }
 
-    createNewOutputStreamSync() {
-        if (this.currentOutputStream) {
-            this.writeFooterSync();
-            this.currentOutputStream.end();
-            if (!this.quiet) {
-                console.log(`✅ Completed file ${this.currentFileIndex - 1} with ${this.currentRowCount} records`);
-            }
+        if (this.partitioners.length === 0) {
+            this.output = createPartWriter(this.outputDirectory);
+            return;
         }
 
-        const timestamp = new Date().toISOString().split('T')[0];
-        const fileExtension = this.formatter.getFileExtension();
-        const outputFileName = `split_part_${this.currentFileIndex}_${timestamp}${fileExtension}`;
-        const outputFilePath = path.join(this.outputDirectory, outputFileName);
-
-        this.currentOutputStream = fs.createWriteStream(outputFilePath, { encoding: 'utf8' });
-
-        // Write headers using formatter (synchronously)
-        if (this.outputHeaders.length > 0) {
-            this.writeHeaderSync();
+        const missing = this.partitioners
+            .flatMap(partitioner => partitioner.columns)
+            .filter(column => !this.outputHeaders.includes(column));
+        if (missing.length > 0) {
+            throw new Error(`Partition column(s) not found in output: ${missing.join(', ')}`);
         }
 
-        this.currentRowCount = 0;
-        if (!this.quiet) {
-            console.log(`📝 Created new ${this.outputFormat.toUpperCase()} file: ${outputFileName}`);
-        }
-        this.currentFileIndex++;
+        this.output = new PartitionedWriter({
+            partitioners: this.partitioners,
+            maxOpenFiles: this.maxOpenFiles,
+            createPartWriter: (partitionPath) => createPartWriter(path.join(this.outputDirectory, partitionPath), partitionPath)
+        });
     }
 
-    writeHeaderSync() {
-        // Simple synchronous header writing for CSV
-        if (this.outputFormat === 'csv') {
-            this.currentOutputStream.write(this.outputHeaders.join(',') + '\n');
-        } else if (this.outputFormat === 'json' || this.outputFormat === 'jsonl') {
-            // For JSON, we don't write headers
-        } else if (this.outputFormat === 'xml') {
-            this.currentOutputStream.write('<?xml version="1.0" encoding="UTF-8"?>\n<data>\n');
-        } else if (this.outputFormat === 'tsv') {
-            this.currentOutputStream.write(this.outputHeaders.join('\t') + '\n');
-        }
-    }
+    async writeRow(row, sourceRow = null) {
+        await this.output.writeRow(row, sourceRow);
+        this.totalRowsProcessed++;
 
-    writeRowSync(row) {
-        if (this.outputFormat === 'csv') {
-            const rowValues = this.outputHeaders.map(header => this.escapeCSVValue(row[header] || ''));
-            this.currentOutputStream.write(rowValues.join(',') + '\n');
-        } else if (this.outputFormat === 'json' || this.outputFormat === 'jsonl') {
-            this.currentOutputStream.write(JSON.stringify(row) + '\n');
-        } else if (this.outputFormat === 'xml') {
-            this.currentOutputStream.write('  <row>\n');
-            this.outputHeaders.forEach(header => {
-                const value = this.escapeXMLValue(row[header] || '');
-                this.currentOutputStream.write(`    <${header}>${value}</${header}>\n`);
-            });
-            this.currentOutputStream.write('  </row>\n');
-        } else if (this.outputFormat === 'tsv') {
-            const rowValues = this.outputHeaders.map(header => this.escapeTSVValue(row[header] || ''));
-            this.currentOutputStream.write(rowValues.join('\t') + '\n');
+        // Show progress every 10000 rows
+        if (this.totalRowsProcessed % 10000 === 0) {
+            this.showProgress();
         }
     }
 
-    writeFooterSync() {
-        if (this.outputFormat === 'xml') {
-            this.currentOutputStream.write('</data>\n');
+    async finishOutput() {
+        // Always leave at least one (header-only) file behind, even when no rows were written;
+        // with targetParts, pad with header-only parts when there are fewer rows than parts
+        const minimumParts = this.targetParts || 1;
+        while (this.output instanceof PartWriter && this.output.partsCreated < minimumParts) {
+            await this.output.closePart();
+            await this.output.openPart();
         }
-        // Other formats don't need footers
-    }
 
-    escapeXMLValue(value) {
-        if (value === null || value === undefined) return '';
-        return String(value)
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&apos;');
-    }
+        await this.output.finish();
 
-    escapeTSVValue(value) {
-        if (value === null || value === undefined) return '';
-        const str = String(value);
-        return str.replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+        // With bucketing alone, every bucket gets a file so the output has the same shape whatever the keys
+        if (this.bucketBy && this.partitioners.length === 1) {
+            const [bucketPartitioner] = this.partitioners;
+            for (let bucket = 0; bucket < bucketPartitioner.buckets; bucket++) {
+                await this.output.ensurePart(bucketPartitioner.getBucketPath(bucket));
+            }
+        }
     }
 
     async getFileStats() {
@@ -217,12 +312,44 @@ class CSVParser {
         }
     }
 
+    async detectDialect() {
+        this.detectedDialect = await sniffDialect(this.inputFilePath);
+
+        if (!Buffer.isEncoding(this.detectedDialect.encoding)) {
+            throw new Error(`Detected input encoding ${this.detectedDialect.encoding} is not supported`);
+        }
+
+        const detectedOptions = {
+            inputDelimiter: this.detectedDialect.delimiter,
+            quoteChar: this.detectedDialect.quote,
+            inputEncoding: this.detectedDialect.encoding
+        };
+        Object.entries(this.explicitDialectOptions).forEach(([key, value]) => {
+            if (value) detectedOptions[key] = value;
+        });
+
+        this.inputDelimiter = detectedOptions.inputDelimiter;
+        this.quoteChar = detectedOptions.quoteChar;
+        this.escapeChar = detectedOptions.escapeChar || this.quoteChar;
+        this.inputEncoding = detectedOptions.inputEncoding;
+        this.dialect = resolveDialect(this);
+
+        if (!this.quiet) {
+            console.log(`🔍 Detected dialect: delimiter ${JSON.stringify(this.dialect.delimiter)}, quote ${JSON.stringify(this.dialect.quote)}, encoding ${this.dialect.encoding}`);
+            if (!this.detectedDialect.hasHeader) {
+                console.warn('⚠️ First row does not look like a header row; it will still be used as headers');
+            }
+        }
+
+        return this.dialect;
+    }
+
     async detectHeaders() {
         return new Promise((resolve, reject) => {
-            const readStream = fs.createReadStream(this.inputFilePath);
+            const readStream = createInputStream(this.inputFilePath, this.dialect);
             let headerDetected = false;
 
-            const csvStream = readStream.pipe(csv());
+            const csvStream = readStream.pipe(createCSVStream(this.dialect));
 
             csvStream
                 .on('headers', (headers) => {
@@ -269,63 +396,131 @@ class CSVParser {
         }
     }
 
-    async processSingleThread() {
-        if (!this.quiet) {
-            console.log('🔄 Starting single-threaded CSV processing...');
+    /**
+     * Read the whole input, yielding rows after transformations (filtered rows are skipped).
+     * rowsRead is the source row number of the row just yielded.
+     */
+    async *readTransformedRows(pipeline, { logErrors = true } = {}) {
+        const readStream = createInputStream(this.inputFilePath, this.dialect);
+        const csvStream = readStream.pipe(createCSVStream(this.dialect));
+        readStream.on('error', (error) => csvStream.destroy(error));
+        this.rowsRead = 0;
+
+        for await (const row of csvStream) {
+            if (this.cancelled) {
+                throw new Error('Processing cancelled');
+            }
+            this.rowsRead++;
+
+            try {
+                // Apply transformations if configured
+                const transformedRow = pipeline ? pipeline.transform(row, this.headers) : row;
+                if (transformedRow === null) {
+                    continue; // Skip this row
+                }
+                yield transformedRow;
+            } catch (error) {
+                if (logErrors) {
+                    console.error(`Error processing row: ${error.message}`);
+                }
+            }
         }
+    }
 
-        this.createNewOutputStreamSync();
-        const readStream = fs.createReadStream(this.inputFilePath);
+    /**
+     * Count the rows that will be written, using a pipeline without statistics so nothing is counted twice
+     */
+    async countOutputRows() {
+        const pipeline = this.transformations ? createTransformationPipeline(this.transformations) : null;
 
-        return new Promise((resolve, reject) => {
-            readStream
-                .pipe(csv())
-                .on('data', (row) => {
-                    try {
-                        // Apply transformations if configured
-                        let transformedRow = row;
-                        if (this.transformationPipeline) {
-                            transformedRow = this.transformationPipeline.transform(row, this.headers);
-                            if (transformedRow === null) {
-                                return; // Skip this row
-                            }
-                        }
+        let count = 0;
+        for await (const row of this.readTransformedRows(pipeline, { logErrors: false })) {
+            count++;
+        }
+        return count;
+    }
 
-                        // Write row using the appropriate formatter (synchronously)
-                        this.writeRowSync(transformedRow);
+    /**
+     * Spread totalRows over targetParts parts whose row counts differ by at most one
+     */
+    applyBalancedParts(totalRows) {
+        const baseRows = Math.floor(totalRows / this.targetParts);
+        const extraRows = totalRows % this.targetParts;
 
-                        this.currentRowCount++;
-                        this.totalRowsProcessed++;
+        this.output.rowLimits = Array.from({ length: this.targetParts },
+            (value, index) => baseRows + (index < extraRows ? 1 : 0));
 
-                        // Show progress every 10000 rows
-                        if (this.totalRowsProcessed % 10000 === 0) {
-                            this.showProgress();
-                        }
+        if (!this.quiet) {
+            console.log(`⚖️ Splitting ${totalRows.toLocaleString()} rows into ${this.targetParts} parts of ${baseRows.toLocaleString()}${extraRows ? `-${(baseRows + 1).toLocaleString()}` : ''} rows`);
+        }
+    }
 
-                        // Create new file if current file is full
-                        if (this.currentRowCount >= this.maxRowsPerFile) {
-                            this.createNewOutputStreamSync();
-                        }
-                    } catch (error) {
-                        console.error(`Error processing row: ${error.message}`);
-                    }
-                })
-                .on('end', () => {
-                    try {
-                        if (this.currentOutputStream) {
-                            this.writeFooterSync();
-                            this.currentOutputStream.end();
-                            if (!this.quiet) {
-                                console.log(`✅ Completed final file ${this.currentFileIndex - 1} with ${this.currentRowCount} records`);
-                            }
-                        }
-                        resolve();
-                    } catch (error) {
-                        reject(error);
-                    }
-                })
-                .on('error', reject);
+    /**
+     * Draw a uniform random sample of `size` rows (per value of `by`, when given) in one
+     * streaming pass and write it to outputFile in the output format, keeping input order
+     */
+    async sample({ size, by = null, seed = null, outputFile }) {
+        const sampleSeed = seed !== undefined && seed !== null ? seed : randomSeed();
+        const sampler = by
+            ? new StratifiedSampler(size, by, sampleSeed)
+            : new ReservoirSampler(size, createRandom(sampleSeed));
+
+        this.initializeTransformations();
+        if (this.autoDetectDialect) {
+            await this.detectDialect();
+        }
+        await this.detectHeaders();
+        if (by && !this.outputHeaders.includes(by)) {
+            throw new Error(`Sample column not found in output: ${by}`);
+        }
+        this.checkOutputHeaders();
+
+        for await (const row of this.readTransformedRows(this.transformationPipeline)) {
+            sampler.add(row);
+        }
+        const rows = sampler.getSample();
+
+        fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
+        const formatter = this.createOutputFormatter();
+        const stream = fs.createWriteStream(outputFile, { encoding: 'utf8' });
+        await formatter.writeHeader(stream, this.outputHeaders);
+        for (const row of rows) {
+            await formatter.writeRow(stream, row, this.outputHeaders);
+        }
+        await formatter.writeFooter(stream);
+        await new Promise((resolve, reject) => {
+            stream.on('error', reject);
+            stream.end(resolve);
         });
+
+        return {
+            seed: sampleSeed,
+            rowsRead: sampler.seen,
+            rowsSampled: rows.length,
+            strata: by ? sampler.getStrata() : null
+        };
+    }
+
+    async processSingleThread() {
+        if (!this.quiet) {
+            console.log('🔄 Starting single-threaded CSV processing...');
+        }
+
+        if (this.targetParts) {
+            this.applyBalancedParts(await this.countOutputRows());
+        }
+
+        for await (const row of this.readTransformedRows(this.transformationPipeline)) {
+            try {
+                // Write row using the configured formatter
+                await this.writeRow(row, this.rowsRead);
+            } catch (error) {
+                if (error instanceof PartPathCollisionError || error instanceof InferredTypeError) throw error;
+                console.error(`Error processing row: ${error.message}`);
+            }
+        }
+
+        await this.finishOutput();
     }
 
     async processMultiThread() {
@@ -333,46 +528,89 @@ class CSVParser {
             console.log(`🚀 Starting multi-threaded CSV processing with ${this.processCount} workers...`);
         }
 
-        try {
-            // Initialize worker pool
-            this.workerPool = new WorkerPool(this.processCount);
+        // Initialize worker pool within the memory budget
+        this.workerPool = new WorkerPool(this.processCount, { maxMemoryMB: this.maxMemoryMB });
+        if (this.workerPool.maxWorkers < this.processCount && !this.quiet) {
+            console.log(`🧠 Memory budget of ${this.maxMemoryMB} MB allows ${this.workerPool.maxWorkers} concurrent worker(s)`);
+        }
 
+        // A chunk that still fails after its retries fails the whole run
+        try {
             // Get file size for chunking
             const stats = await this.getFileStats();
             const fileSize = stats.size;
 
-            // Create chunks based on byte ranges
-            const chunks = this.createFileChunks(fileSize);
+            // Create chunks based on byte ranges aligned to record starts
+            const { chunks, newline } = await this.createFileChunks(fileSize);
 
             if (!this.quiet) {
                 console.log(`📊 Created ${chunks.length} chunks for processing`);
             }
 
-            // Process chunks in parallel
+            // Workers parse and transform chunks in parallel; output is written here, in input order
             const workerData = {
                 inputFilePath: this.inputFilePath,
-                outputDirectory: this.outputDirectory,
                 headers: this.headers,
-                maxRowsPerFile: this.maxRowsPerFile,
-                outputFormat: this.outputFormat,
-                transformations: this.transformations
+                transformations: this.transformations,
+                generateStats: this.generateStats,
+                dialect: this.dialect,
+                newline
             };
 
-            const results = await this.workerPool.processChunks(chunks, workerData);
+            // Workers count their chunks' output rows first, in parallel, to size balanced parts
+            if (this.targetParts) {
+                const counts = await this.workerPool.processChunks(chunks, { ...workerData, generateStats: false, countOnly: true });
+                this.applyBalancedParts(counts.reduce((total, result) => total + result.rowsProcessed, 0));
+            }
+
+            // Rows read by each completed chunk turn line numbers within a chunk into source row numbers
+            const chunkRowsRead = [];
+            let sourceChunk = 0;
+            let sourceOffset = 0;
 
-            // Aggregate results
-            let totalRowsProcessed = 0;
-            let totalFilesCreated = 0;
-            const allErrors = [];
+            // Write batches through the same part rollover as single-threaded mode, in input order
+            const batchWriter = new OrderedBatchWriter(async (rows, chunkIndex, lines) => {
+                // Chunks are written in order, so every earlier chunk has completed
+                while (sourceChunk < chunkIndex) {
+                    sourceOffset += chunkRowsRead[sourceChunk++];
+                }
+                for (let i = 0; i < rows.length; i++) {
+                    try {
+                        await this.writeRow(rows[i], sourceOffset + lines[i]);
+                    } catch (error) {
+                        if (error instanceof PartPathCollisionError || error instanceof InferredTypeError) throw error;
+                        console.error(`Error processing row: ${error.message}`);
+                    }
+                }
+            }, {
+                maxBufferedBytes: this.workerPool.maxBufferedBytes,
+                // A failed write ends the run straight away instead of after every chunk is parsed
+                onError: (error) => this.workerPool.fail(error)
+            });
 
-            results.forEach(result => {
-                totalRowsProcessed += result.rowsProcessed;
-                totalFilesCreated += result.filesCreated.length;
-                allErrors.push(...result.errors);
+            const results = await this.workerPool.processChunks(chunks, workerData, {
+                onBatch: (chunkIndex, rows, bytes, lines) => batchWriter.addBatch(chunkIndex, rows, bytes, lines),
+                onChunkComplete: (result) => {
+                    chunkRowsRead[result.chunkIndex] = result.rowsRead;
+                    batchWriter.completeChunk(result.chunkIndex);
+                },
+                onRetry: (chunkIndex, attempt, error) => {
+                    if (!this.quiet) {
+                        console.warn(`⚠️ Worker failed on chunk ${chunkIndex + 1} (attempt ${attempt}): ${error.message}. Retrying...`);
+                    }
+                }
             });
 
-            this.totalRowsProcessed = totalRowsProcessed;
-            this.currentFileIndex = totalFilesCreated + 1;
+            await batchWriter.finish();
+            await this.finishOutput();
+            this.rowsRead = results.reduce((total, result) => total + result.rowsRead, 0);
+
+            // Each worker collected statistics for its own chunk
+            if (this.transformationPipeline) {
+                results.forEach(result => this.transformationPipeline.mergeStatistics(result.statistics));
+            }
+
+            const allErrors = results.flatMap(result => result.errors);
 
             if (allErrors.length > 0 && !this.quiet) {
                 console.warn(`⚠️ ${allErrors.length} errors occurred during processing`);
@@ -382,30 +620,52 @@ class CSVParser {
                 }
             }
 
+        } finally {
             await this.workerPool.terminate();
+            this.workerPool = null;
+        }
+    }
 
-        } catch (error) {
-            if (!this.quiet) {
-                console.log('⚠️ Multi-threading failed, falling back to single-threaded processing...');
-                console.log(`Error: ${error.message}`);
-            }
-            return this.processSingleThread();
+    /**
+     * Cancel processing: stops reading in single-threaded mode and all outstanding worker jobs
+     */
+    cancel() {
+        this.cancelled = true;
+        if (this.workerPool) {
+            this.workerPool.cancel();
         }
     }
 
-    createFileChunks(fileSize) {
-        const chunks = [];
+    /**
+     * Split the data section of the file into byte ranges for the workers.
+     * Nominal cut points are moved forward to the next record start, so quoted fields containing
+     * delimiters or newlines are never torn and no row is lost or read twice by neighbouring chunks.
+     */
+    async createFileChunks(fileSize) {
         const chunkSize = Math.min(this.chunkSizeBytes, Math.ceil(fileSize / this.processCount));
 
-        for (let start = 0; start < fileSize; start += chunkSize) {
-            const end = Math.min(start + chunkSize - 1, fileSize - 1);
-            chunks.push({
-                startByte: start,
-                endByte: end
-            });
+        const targets = [];
+        for (let start = chunkSize; start < fileSize; start += chunkSize) {
+            targets.push(start);
         }
 
-        return chunks;
+        const { dataStart, newline, boundaries } = await findRecordBoundaries(this.inputFilePath, this.dialect, targets);
+
+        // A file with only a header line has no data to process
+        if (dataStart === null || dataStart >= fileSize) {
+            return { chunks: [], newline };
+        }
+
+        // Cut points that fall inside the header or past the last record collapse away
+        const starts = [dataStart, ...boundaries.filter(offset => offset !== null && offset > dataStart && offset < fileSize)];
+        const uniqueStarts = [...new Set(starts)];
+
+        const chunks = uniqueStarts.map((startByte, index) => ({
+            startByte,
+            endByte: index + 1 < uniqueStarts.length ? uniqueStarts[index + 1] - 1 : fileSize - 1
+        }));
+
+        return { chunks, newline };
     }
 
     /**
@@ -417,14 +677,33 @@ class CSVParser {
                 console.log('🚀 Starting Enhanced CSV Parser v2.0...');
                 console.log(`📁 Input file: ${this.inputFilePath}`);
                 console.log(`📁 Output directory: ${this.outputDirectory}`);
-                console.log(`📊 Max rows per file: ${this.maxRowsPerFile.toLocaleString()}`);
+                if (this.targetParts) {
+                    console.log(`⚖️ Balanced parts: ${this.targetParts}`);
+                } else if (this.maxRowsPerFile !== Infinity) {
+                    console.log(`📊 Max rows per file: ${this.maxRowsPerFile.toLocaleString()}`);
+                }
+                if (this.maxBytesPerFile) {
+                    console.log(`📊 Max bytes per file: ${this.maxBytesPerFile.toLocaleString()}`);
+                }
+                if (this.partitionBy.length > 0) {
+                    console.log(`🗂️ Partitioned by: ${this.partitionBy.join(', ')}`);
+                }
+                if (this.partitionByDate) {
+                    console.log(`🗓️ Partitioned by date: ${this.partitionByDate.column} (${this.partitionByDate.granularity || 'day'})`);
+                }
+                if (this.sampleSplit) {
+                    const { sets, seed, stratifyBy } = this.partitioners[0];
+                    console.log(`🎲 Sample split: ${sets.map(({ name, ratio }) => `${name}=${Math.round(ratio * 10000) / 10000}`).join(', ')} (seed ${seed}${stratifyBy ? `, stratified by ${stratifyBy}` : ''})`);
+                }
+                if (this.bucketBy) {
+                    console.log(`🪣 Bucketed by: ${this.partitioners[this.partitioners.length - 1].columns.join(', ')} into ${this.bucketBy.buckets} buckets`);
+                }
                 console.log(`📄 Output format: ${this.outputFormat.toUpperCase()}`);
             }
 
             this.startTime = Date.now();
 
             // Initialize components
-            this.initializeFormatter();
             this.initializeTransformations();
 
             // Validate input file
@@ -433,8 +712,17 @@ class CSVParser {
             // Ensure output directory exists
             this.ensureOutputDirectory();
 
+            // A manifest from an earlier run must not vouch for this run's output while it is written
+            if (this.manifest) {
+                fs.rmSync(path.join(this.outputDirectory, MANIFEST_FILE), { force: true });
+            }
+
             // Detect CSV structure
+            if (this.autoDetectDialect) {
+                await this.detectDialect();
+            }
             await this.detectHeaders();
+            this.initializeOutput();
 
             // Process the file
             if (this.useMultipleProcesses) {
@@ -447,13 +735,20 @@ class CSVParser {
             const totalTime = (Date.now() - this.startTime) / 1000;
             const avgRate = Math.round(this.totalRowsProcessed / totalTime);
 
+            if (this.manifest) {
+                this.manifestPath = await this.writeRunManifest(totalTime);
+            }
+
             if (!this.quiet) {
                 console.log('\n🎉 CSV processing completed successfully!');
                 console.log(`📊 Total rows processed: ${this.totalRowsProcessed.toLocaleString()}`);
-                console.log(`📊 Total files created: ${this.currentFileIndex - 1}`);
+                console.log(`📊 Total files created: ${this.output.partsCreated}`);
                 console.log(`⏱️ Total time: ${totalTime.toFixed(2)} seconds`);
                 console.log(`⚡ Average rate: ${avgRate.toLocaleString()} rows/second`);
                 console.log(`📁 Output files saved in: ${this.outputDirectory}`);
+                if (this.manifestPath) {
+                    console.log(`🧾 Manifest: ${this.manifestPath}`);
+                }
             }
 
             // Show transformation statistics if available
@@ -485,6 +780,65 @@ class CSVParser {
         }
     }
 
+    /**
+     * Options that shaped the output, as recorded in the manifest
+     */
+    getManifestOptions() {
+        return {
+            outputFormat: this.outputFormat,
+            json: ['json', 'jsonl'].includes(this.outputFormat) ? this.json : null,
+            parquet: this.outputFormat === 'parquet' ? this.parquet : null,
+            sql: this.outputFormat === 'sql' ? this.sql : null,
+            arrow: this.outputFormat === 'arrow' ? this.arrow : null,
+            maxRowsPerFile: Number.isFinite(this.maxRowsPerFile) ? this.maxRowsPerFile : null,
+            maxBytesPerFile: this.maxBytesPerFile,
+            targetParts: this.targetParts,
+            keepTogether: this.keepTogether,
+            maxGroupOverflow: this.maxGroupOverflow,
+            nameTemplate: this.nameTemplate.template,
+            nameKey: this.nameKey,
+            partitionBy: this.partitionBy,
+            partitionByDate: this.partitionByDate,
+            bucketBy: this.bucketBy,
+            // Record the seed actually used, so the split can be repeated
+            sampleSplit: this.sampleSplit ? { ...this.sampleSplit, seed: this.partitioners[0].seed } : null,
+            transformations: this.transformations,
+            useMultipleProcesses: this.useMultipleProcesses,
+            processCount: this.processCount,
+            dialect: this.dialect
+        };
+    }
+
+    /**
+     * Write manifest.json describing every part of this run; sizes and checksums are taken from
+     * the finished files on disk
+     */
+    async writeRunManifest(durationSeconds) {
+        const parts = [];
+        for (const part of this.output.completedParts) {
+            parts.push(await describePart(part, this.outputDirectory, this.outputHeaders));
+        }
+        const inputStats = fs.statSync(this.inputFilePath);
+
+        return writeManifest(this.outputDirectory, {
+            version: MANIFEST_VERSION,
+            createdAt: new Date().toISOString(),
+            input: {
+                path: path.resolve(this.inputFilePath),
+                bytes: inputStats.size,
+                sha256: await hashFile(this.inputFilePath),
+                rows: this.rowsRead
+            },
+            options: this.getManifestOptions(),
+            durationSeconds,
+            totalRows: this.totalRowsProcessed,
+            // Rows read but not written: dropped by validation or failed to process
+            rejectedRows: this.rowsRead - this.totalRowsProcessed,
+            headers: this.outputHeaders,
+            parts
+        });
+    }
+
     /**
      * Static method to create and run parser with options
      */
@@ -569,7 +923,7 @@ async function main() {
 
 // Export the class for use as a module
 export default CSVParser;
-export { CSVParser };
+export { CSVParser, parseByteSize };
 
 // Run main function if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
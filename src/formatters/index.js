@@ -1,25 +1,72 @@
 import fs from 'fs';
 import path from 'path';
 import { XMLBuilder } from 'fast-xml-parser';
+import { Writable } from 'stream';
+import { once } from 'events';
+import parquet from 'parquetjs';
+import parquetThrift from 'parquetjs/gen-nodejs/parquet_types.js';
+import parquetUtil from 'parquetjs/lib/util.js';
+import ExcelJS from 'exceljs';
+import {
+    Schema, Field, RecordBatch, Struct, Int64, Float64, Bool, DateDay, TimestampMillisecond, Utf8,
+    RecordBatchFileWriter, RecordBatchStreamWriter, makeData, vectorFromArray
+} from 'apache-arrow';
+import { DataTypeConverter } from '../transformers/index.js';
 
 /**
- * Base formatter class for output formats
+ * Base formatter class for output formats.
+ * Text formats implement formatHeader/formatRow/formatFooter; the write methods write that text
+ * and return the number of bytes it adds to the file, which callers use to enforce size limits.
  */
 export class BaseFormatter {
     constructor(options = {}) {
         this.options = options;
     }
 
+    formatHeader(headers) {
+        return '';
+    }
+
+    formatRow(row, headers) {
+        throw new Error('formatRow method must be implemented by subclass');
+    }
+
+    formatFooter() {
+        // Optional footer - default implementation writes nothing
+        return '';
+    }
+
+    write(stream, text) {
+        if (text) {
+            stream.write(text);
+        }
+        return Buffer.byteLength(text);
+    }
+
     async writeHeader(stream, headers) {
-        throw new Error('writeHeader method must be implemented by subclass');
+        return this.write(stream, this.formatHeader(headers));
     }
 
     async writeRow(stream, row, headers) {
-        throw new Error('writeRow method must be implemented by subclass');
+        return this.write(stream, this.formatRow(row, headers));
     }
 
     async writeFooter(stream) {
-        // Optional footer - default implementation does nothing
+        return this.write(stream, this.formatFooter());
+    }
+
+    /**
+     * Bytes the next row would add to the current file, without writing it
+     */
+    measureRow(row, headers) {
+        return Buffer.byteLength(this.formatRow(row, headers));
+    }
+
+    /**
+     * Bytes the footer would add to the current file
+     */
+    measureFooter() {
+        return Buffer.byteLength(this.formatFooter());
     }
 
     getFileExtension() {
@@ -40,13 +87,13 @@ export class CSVFormatter extends BaseFormatter {
         return str;
     }
 
-    async writeHeader(stream, headers) {
-        stream.write(headers.join(',') + '\n');
+    formatHeader(headers) {
+        return headers.join(',') + '\n';
     }
 
-    async writeRow(stream, row, headers) {
-        const rowValues = headers.map(header => this.escapeCSVValue(row[header] || ''));
-        stream.write(rowValues.join(',') + '\n');
+    formatRow(row, headers) {
+        const rowValues = headers.map(header => this.escapeCSVValue(row[header]));
+        return rowValues.join(',') + '\n';
     }
 
     getFileExtension() {
@@ -54,39 +101,94 @@ export class CSVFormatter extends BaseFormatter {
     }
 }
 
+// Key segments that would reach into Object.prototype instead of creating a nested object.
+// "__proto__" is unsafe anywhere; "constructor" and "prototype" only as parents, so plain columns
+// with those names still work.
+const UNSAFE_KEY_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+const isUnsafeKey = (key) => key.split('.').some((segment, index, segments) =>
+    segment === '__proto__' || (index < segments.length - 1 && UNSAFE_KEY_SEGMENTS.includes(segment)));
+
 /**
- * JSON Formatter (JSONL - JSON Lines format)
+ * Turn dotted keys into nested objects: { "address.city": "Oslo" } becomes { address: { city: "Oslo" } }
+ */
+export function nestDottedKeys(row) {
+    const nested = {};
+    for (const [key, value] of Object.entries(row)) {
+        const segments = key.split('.');
+        if (isUnsafeKey(key)) {
+            throw new Error(`Cannot nest dotted key ${key}: it uses a reserved name (${UNSAFE_KEY_SEGMENTS.join(', ')})`);
+        }
+        let target = nested;
+        for (const segment of segments.slice(0, -1)) {
+            // Only own properties are descended into, never inherited ones
+            target = target[segment] = Object.hasOwn(target, segment) ? target[segment] : {};
+        }
+        target[segments[segments.length - 1]] = value;
+    }
+    return nested;
+}
+
+/**
+ * Throw if dotted headers cannot be nested: "address" and "address.city" cannot both be kept, and
+ * __proto__ (or constructor and prototype as parents) would reach into Object.prototype
+ */
+export function assertNestableHeaders(headers) {
+    const unsafe = headers.find(isUnsafeKey);
+    if (unsafe !== undefined) {
+        throw new Error(`Cannot nest dotted headers: ${unsafe} uses a reserved name (${UNSAFE_KEY_SEGMENTS.join(', ')})`);
+    }
+
+    const conflict = headers.find(header => headers.some(other => other.startsWith(`${header}.`)));
+    if (conflict !== undefined) {
+        throw new Error(`Cannot nest dotted headers: ${conflict} is both a column and a parent of other columns`);
+    }
+}
+
+/**
+ * JSON Formatter. 'json' writes every part as one JSON array (rows on their own lines, or
+ * pretty-printed with indent); 'jsonl' writes one object per line. With nest, dotted headers
+ * such as address.city become nested objects.
  */
 export class JSONFormatter extends BaseFormatter {
     constructor(options = {}) {
         super(options);
         this.isFirstRow = true;
-        this.format = options.format || 'jsonl'; // 'jsonl' or 'array'
+        this.format = options.format === 'jsonl' ? 'jsonl' : 'json';
+        this.indent = options.indent || 0;
+        this.nest = options.nest || false;
     }
 
     async writeHeader(stream, headers) {
-        if (this.format === 'array') {
-            stream.write('[\n');
-        }
         this.isFirstRow = true;
+        if (this.nest) {
+            assertNestableHeaders(headers);
+        }
+        return super.writeHeader(stream, headers);
     }
 
-    async writeRow(stream, row, headers) {
-        if (this.format === 'jsonl') {
-            stream.write(JSON.stringify(row) + '\n');
-        } else if (this.format === 'array') {
-            if (!this.isFirstRow) {
-                stream.write(',\n');
-            }
-            stream.write('  ' + JSON.stringify(row));
-            this.isFirstRow = false;
-        }
+    formatHeader(headers) {
+        return this.format === 'json' ? '[' : '';
     }
 
-    async writeFooter(stream) {
-        if (this.format === 'array') {
-            stream.write('\n]\n');
+    formatRow(row, headers) {
+        const value = this.nest ? nestDottedKeys(row) : row;
+        if (this.format === 'json') {
+            // Pretty-printed rows are indented one level, inside the array
+            const json = JSON.stringify(value, null, this.indent).replace(/\n/g, `\n${' '.repeat(this.indent)}`);
+            return (this.isFirstRow ? '\n' : ',\n') + ' '.repeat(this.indent || 2) + json;
         }
+        return JSON.stringify(value) + '\n';
+    }
+
+    async writeRow(stream, row, headers) {
+        const bytes = await super.writeRow(stream, row, headers);
+        this.isFirstRow = false;
+        return bytes;
+    }
+
+    formatFooter() {
+        return this.format === 'json' ? '\n]\n' : '';
     }
 
     getFileExtension() {
@@ -109,24 +211,25 @@ export class XMLFormatter extends BaseFormatter {
         });
     }
 
-    async writeHeader(stream, headers) {
-        stream.write('<?xml version="1.0" encoding="UTF-8"?>\n');
-        stream.write(`<${this.rootElement}>\n`);
+    formatHeader(headers) {
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + `<${this.rootElement}>\n`;
     }
 
-    async writeRow(stream, row, headers) {
+    formatRow(row, headers) {
         const xmlRow = { [this.rowElement]: row };
         const xmlString = this.xmlBuilder.build(xmlRow);
-        // Remove the XML declaration and root wrapper, keep only the row
+        // Remove the XML declaration and indent the row one level inside the root element
         const rowXml = xmlString
             .replace(/^<\?xml.*?\?>\s*/, '')
-            .replace(new RegExp(`^<${this.rowElement}>`), `  <${this.rowElement}>`)
-            .replace(new RegExp(`</${this.rowElement}>$`), `  </${this.rowElement}>`);
-        stream.write(rowXml + '\n');
+            .trimEnd()
+            .split('\n')
+            .map(line => `  ${line}`)
+            .join('\n');
+        return rowXml + '\n';
     }
 
-    async writeFooter(stream) {
-        stream.write(`</${this.rootElement}>\n`);
+    formatFooter() {
+        return `</${this.rootElement}>\n`;
     }
 
     getFileExtension() {
@@ -141,68 +244,924 @@ export class TSVFormatter extends BaseFormatter {
     escapeTSVValue(value) {
         if (value === null || value === undefined) return '';
         const str = String(value);
-        // Replace tabs, newlines, and carriage returns
-        return str.replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+        // Escape backslashes first, so an escaped tab or line break cannot be confused with text like "C:\new"
+        return str.replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+    }
+
+    formatHeader(headers) {
+        return headers.map(header => this.escapeTSVValue(header)).join('\t') + '\n';
+    }
+
+    formatRow(row, headers) {
+        const rowValues = headers.map(header => this.escapeTSVValue(row[header]));
+        return rowValues.join('\t') + '\n';
+    }
+
+    getFileExtension() {
+        return '.tsv';
+    }
+}
+
+// Column types of the typed formatters: integer, number, boolean, date, datetime and string.
+// typeConversions names map onto them; other columns are inferred from the first rows written.
+const INTEGER_PATTERN = /^-?(0|[1-9]\d*)$/;
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const BOOLEAN_PATTERN = /^(true|false)$/i;
+
+/**
+ * Column type for a typeConversions entry ('float' is a number, 'uppercase' is still a string)
+ */
+export function normalizeColumnType(conversion) {
+    switch (String(conversion).toLowerCase()) {
+        case 'integer':
+        case 'int':
+            return 'integer';
+        case 'number':
+        case 'float':
+            return 'number';
+        case 'boolean':
+        case 'bool':
+            return 'boolean';
+        case 'date':
+            return 'date';
+        case 'datetime':
+            return 'datetime';
+        default:
+            return 'string';
+    }
+}
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Infer a column type from sample values; empty values are ignored. Only unambiguous values are
+ * typed: numbers with leading zeros (zip codes, ids) and date-like strings stay strings.
+ */
+export function inferColumnType(values) {
+    const present = values.filter(value => !isEmptyValue(value));
+    if (present.length === 0) return 'string';
+
+    if (present.every(value => typeof value === 'boolean' || BOOLEAN_PATTERN.test(value))) {
+        return 'boolean';
+    }
+    if (present.every(value => value instanceof Date)) {
+        return 'datetime';
+    }
+    if (present.every(value => typeof value === 'number' ? Number.isSafeInteger(value)
+        : INTEGER_PATTERN.test(value) && Number.isSafeInteger(Number(value)))) {
+        return 'integer';
+    }
+    if (present.every(value => typeof value === 'number' ? Number.isFinite(value) : NUMBER_PATTERN.test(value))) {
+        return 'number';
+    }
+    return 'string';
+}
+
+/**
+ * Types for every header: configured conversions first, the rest inferred from sample rows
+ */
+export function resolveColumnTypes(headers, columnTypes = {}, sampleRows = []) {
+    return Object.fromEntries(headers.map(header => [
+        header,
+        columnTypes[header]
+            ? normalizeColumnType(columnTypes[header])
+            : inferColumnType(sampleRows.map(row => row[header]))
+    ]));
+}
+
+/**
+ * Raised when a value does not fit a column type that was inferred from earlier rows. It ends the
+ * run instead of rejecting the row: the schema is already written, and quietly dropping every
+ * value that breaks an inference would lose data.
+ */
+export class InferredTypeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InferredTypeError';
+    }
+}
+
+/**
+ * Convert a value to its column type; empty values become null. Throws when the value does not
+ * fit, e.g. a later value in a column whose type was inferred from the first rows.
+ */
+export function toTypedValue(value, type, column) {
+    if (isEmptyValue(value)) return null;
+
+    const invalid = () => new Error(`Value ${JSON.stringify(value)} in column ${column} is not a valid ${type} (set the column's type with typeConversions)`);
+    switch (type) {
+        case 'integer': {
+            const number = typeof value === 'number' ? value : (INTEGER_PATTERN.test(String(value).trim()) ? Number(value) : NaN);
+            if (!Number.isSafeInteger(number)) throw invalid();
+            return number;
+        }
+        case 'number': {
+            const number = typeof value === 'number' ? value : (String(value).trim() === '' ? NaN : Number(value));
+            if (!Number.isFinite(number)) throw invalid();
+            return number;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (!BOOLEAN_PATTERN.test(String(value).trim())) throw invalid();
+            return String(value).trim().toLowerCase() === 'true';
+        case 'date':
+        case 'datetime': {
+            const date = DataTypeConverter.parseDate(value);
+            if (!date) throw invalid();
+            return date;
+        }
+        default:
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+/**
+ * Base class for formatters with typed columns. Types come from columnTypes (the typeConversions
+ * config) or are inferred from sample rows; pass the same schemaCache object to every formatter
+ * of a run so that all parts share one schema.
+ */
+export class TypedFormatter extends BaseFormatter {
+    constructor(options = {}) {
+        super(options);
+        this.columnTypes = options.columnTypes || {};
+        this.schemaCache = options.schemaCache || {};
+    }
+
+    /**
+     * Whether column types are settled without looking at any rows
+     */
+    hasKnownTypes() {
+        return Boolean(this.schemaCache.types) || this.headers.every(header => this.columnTypes[header]);
+    }
+
+    /**
+     * Column types for this run: cached, fully configured, or inferred from sample rows
+     */
+    getTypes(sampleRows) {
+        if (this.schemaCache.types) return this.schemaCache.types;
+
+        const types = resolveColumnTypes(this.headers, this.columnTypes, sampleRows);
+        // An empty sample says nothing about unconfigured columns, so it is not shared
+        if (sampleRows.length > 0 || this.headers.every(header => this.columnTypes[header])) {
+            this.schemaCache.types = types;
+        }
+        return types;
+    }
+
+    /**
+     * Throw if a value does not fit its configured column type. Rows held back until the schema
+     * is settled are checked with this, so a bad row is rejected on its own rather than when the
+     * rows around it are written.
+     */
+    checkConfiguredTypes(row) {
+        for (const header of this.headers) {
+            if (this.columnTypes[header]) {
+                toTypedValue(row[header], normalizeColumnType(this.columnTypes[header]), header);
+            }
+        }
+    }
+
+    /**
+     * Convert a value to its column type. A value that does not fit a configured type rejects its
+     * row; one that does not fit an inferred type raises InferredTypeError.
+     */
+    toColumnValue(value, type, header) {
+        try {
+            return toTypedValue(value, type, header);
+        } catch (error) {
+            if (this.columnTypes[header]) throw error;
+            throw new InferredTypeError(`Value ${JSON.stringify(value)} in column ${header} is not a valid ${type}, the type inferred from earlier rows (set the column's type with typeConversions, e.g. string)`);
+        }
+    }
+
+    /**
+     * The type a value would get before the schema is settled, for size estimates
+     */
+    guessType(header, value) {
+        if (this.schemaCache.types) return this.schemaCache.types[header];
+        return this.columnTypes[header] ? normalizeColumnType(this.columnTypes[header]) : inferColumnType([value]);
+    }
+}
+
+const PARQUET_TYPES = {
+    integer: 'INT64',
+    number: 'DOUBLE',
+    boolean: 'BOOLEAN',
+    date: 'DATE',
+    datetime: 'TIMESTAMP_MILLIS',
+    string: 'UTF8'
+};
+
+// Encoded bytes of a non-null value (strings also carry a 4-byte length)
+const PARQUET_VALUE_BYTES = { INT64: 8, DOUBLE: 8, BOOLEAN: 1, DATE: 4, TIMESTAMP_MILLIS: 8 };
+
+const PARQUET_COMPRESSION = { snappy: 'SNAPPY', gzip: 'GZIP', none: 'UNCOMPRESSED' };
+const MILLIS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// parquetjs throws plain strings
+const toParquetError = (error) => error instanceof Error ? error : new Error(`Parquet write failed: ${error}`);
+
+/**
+ * Footer of a Parquet file without row groups. parquetjs refuses to close a writer that has no
+ * rows, but empty parts (header-only input, padded or empty buckets) still need a readable file.
+ */
+function encodeEmptyParquetFooter(schema) {
+    const metadata = new parquetThrift.FileMetaData({
+        version: 1,
+        created_by: 'parquet.js',
+        num_rows: 0,
+        row_groups: [],
+        key_value_metadata: [],
+        schema: [new parquetThrift.SchemaElement({ name: 'root', num_children: schema.fieldList.length })]
+    });
+    for (const field of schema.fieldList) {
+        metadata.schema.push(new parquetThrift.SchemaElement({
+            name: field.name,
+            repetition_type: parquetThrift.FieldRepetitionType[field.repetitionType],
+            type: parquetThrift.Type[field.primitiveType],
+            converted_type: field.originalType ? parquetThrift.ConvertedType[field.originalType] : null
+        }));
+    }
+
+    const encoded = parquetUtil.serializeThrift(metadata);
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(encoded.length);
+    return Buffer.concat([encoded, length, Buffer.from('PAR1')]);
+}
+
+/**
+ * Parquet Formatter (parquetjs). Every part is a complete Parquet file with one optional
+ * (nullable) column per header, typed from the first row group unless configured. Rows are
+ * buffered into row groups, so the bytes reported for size limits are an estimate of the encoded
+ * size before compression.
+ */
+export class ParquetFormatter extends TypedFormatter {
+    constructor(options = {}) {
+        super(options);
+        this.rowGroupSize = options.rowGroupSize || 10000;
+        const compression = String(options.compression || 'snappy').toLowerCase();
+        if (!PARQUET_COMPRESSION[compression]) {
+            throw new Error(`Unsupported Parquet compression: ${options.compression} (expected ${Object.keys(PARQUET_COMPRESSION).join(', ')})`);
+        }
+        this.compression = PARQUET_COMPRESSION[compression];
+        this.writer = null;
+        this.pendingRows = [];
+        this.rowsInGroup = 0;
+    }
+
+    async openWriter(sampleRows) {
+        const types = this.getTypes(sampleRows);
+        this.types = types;
+        this.schema = new parquet.ParquetSchema(Object.fromEntries(this.headers.map(header => [
+            header,
+            { type: PARQUET_TYPES[types[header]], optional: true, compression: this.compression }
+        ])));
+
+        // parquetjs writes through this adapter; the part writer owns (and ends) the file stream
+        const stream = this.stream;
+        const output = {
+            write: (buffer, callback) => stream.write(buffer, callback),
+            close: (callback) => callback()
+        };
+        try {
+            this.writer = await parquet.ParquetWriter.openStream(this.schema, output, { rowGroupSize: this.rowGroupSize });
+        } catch (error) {
+            throw toParquetError(error);
+        }
+    }
+
+    async appendRow(parquetRow) {
+        try {
+            await this.writer.appendRow(parquetRow);
+        } catch (error) {
+            throw toParquetError(error);
+        }
+    }
+
+    toParquetRow(row) {
+        const parquetRow = {};
+        for (const header of this.headers) {
+            const value = this.toColumnValue(row[header], this.types[header], header);
+            if (value === null) continue;
+            // DATE columns hold whole days since the epoch
+            parquetRow[header] = this.types[header] === 'date'
+                ? new Date(Math.floor(value.getTime() / MILLIS_PER_DAY) * MILLIS_PER_DAY)
+                : value;
+        }
+        return parquetRow;
     }
 
     async writeHeader(stream, headers) {
-        stream.write(headers.join('\t') + '\n');
+        this.stream = stream;
+        this.headers = headers;
+        this.writer = null;
+        this.pendingRows = [];
+        this.rowsInGroup = 0;
+
+        // With a known schema the file is started straight away; otherwise the first row group decides it
+        if (this.hasKnownTypes()) {
+            await this.openWriter([]);
+        }
+        return 4; // "PAR1"
+    }
+
+    /**
+     * Estimated encoded size of a row; the first row of each row group also carries the
+     * group's page headers and column chunk metadata
+     */
+    measureRow(row, headers) {
+        let bytes = 0;
+        for (const header of this.headers) {
+            const value = row[header];
+            if (isEmptyValue(value)) continue;
+            // Until the schema is settled, each value is measured as the type it looks like
+            const parquetType = PARQUET_TYPES[this.guessType(header, value)];
+            bytes += PARQUET_VALUE_BYTES[parquetType] || Buffer.byteLength(String(value)) + 4;
+        }
+        // Definition levels
+        bytes += this.headers.length;
+
+        if (this.rowsInGroup % this.rowGroupSize === 0) {
+            bytes += this.headers.reduce((total, header) => total + 160 + 2 * Buffer.byteLength(header), 0);
+        }
+        return bytes;
+    }
+
+    /**
+     * Estimated size of the file footer (schema, row group index, length and magic)
+     */
+    measureFooter() {
+        return 128 + this.headers.reduce((total, header) => total + 32 + Buffer.byteLength(header), 0);
     }
 
     async writeRow(stream, row, headers) {
-        const rowValues = headers.map(header => this.escapeTSVValue(row[header] || ''));
-        stream.write(rowValues.join('\t') + '\n');
+        const bytes = this.measureRow(row, headers);
+
+        if (this.writer) {
+            // Converted first, so a row that does not fit the schema leaves nothing behind
+            await this.appendRow(this.toParquetRow(row));
+            this.rowsInGroup++;
+        } else {
+            // Inferred columns fit the rows they are inferred from; configured ones are checked now
+            this.checkConfiguredTypes(row);
+            this.rowsInGroup++;
+            this.pendingRows.push(row);
+            if (this.pendingRows.length >= this.rowGroupSize) {
+                await this.flushPendingRows();
+            }
+        }
+        return bytes;
+    }
+
+    async flushPendingRows() {
+        await this.openWriter(this.pendingRows);
+        // Everything is converted before anything is appended, so no held-back row is half written
+        const rows = this.pendingRows.map(row => this.toParquetRow(row));
+        this.pendingRows = [];
+        for (const row of rows) {
+            await this.appendRow(row);
+        }
+    }
+
+    async writeFooter(stream) {
+        if (!this.writer) {
+            await this.flushPendingRows();
+        }
+        const writer = this.writer;
+        this.writer = null;
+
+        try {
+            if (this.rowsInGroup === 0) {
+                // The header is already written; only the footer is missing
+                await writer.envelopeWriter.writeSection(encodeEmptyParquetFooter(this.schema));
+            } else {
+                await writer.close();
+            }
+        } catch (error) {
+            throw toParquetError(error);
+        }
+        return 0;
     }
 
     getFileExtension() {
-        return '.tsv';
+        return '.parquet';
     }
 }
 
+const SQL_DIALECTS = {
+    postgres: {
+        quoteIdentifier: (name) => `"${name.replace(/"/g, '""')}"`,
+        quoteString: (value) => `'${value.replace(/'/g, "''")}'`,
+        boolean: (value) => value ? 'TRUE' : 'FALSE',
+        types: { integer: 'BIGINT', number: 'DOUBLE PRECISION', boolean: 'BOOLEAN', date: 'DATE', datetime: 'TIMESTAMP', string: 'TEXT' }
+    },
+    mysql: {
+        quoteIdentifier: (name) => `\`${name.replace(/`/g, '``')}\``,
+        // Backslashes are escape characters in MySQL string literals (unless NO_BACKSLASH_ESCAPES)
+        quoteString: (value) => `'${value.replace(/\\/g, '\\\\').replace(/'/g, "''").replace(/\0/g, '\\0').replace(/\x1a/g, '\\Z')}'`,
+        boolean: (value) => value ? 'TRUE' : 'FALSE',
+        types: { integer: 'BIGINT', number: 'DOUBLE', boolean: 'BOOLEAN', date: 'DATE', datetime: 'DATETIME(3)', string: 'TEXT' }
+    },
+    sqlite: {
+        quoteIdentifier: (name) => `"${name.replace(/"/g, '""')}"`,
+        quoteString: (value) => `'${value.replace(/'/g, "''")}'`,
+        boolean: (value) => value ? '1' : '0',
+        // SQLite has no date types; ISO strings sort and compare correctly as TEXT
+        types: { integer: 'INTEGER', number: 'REAL', boolean: 'INTEGER', date: 'TEXT', datetime: 'TEXT', string: 'TEXT' }
+    }
+};
+
+// Escapes of the COPY text format; \N is null
+const COPY_ESCAPES = { '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' };
+
+/**
+ * Date and datetime values as SQL text: YYYY-MM-DD and YYYY-MM-DD HH:MM:SS.sss (UTC)
+ */
+function formatSQLDate(date, type) {
+    const iso = date.toISOString();
+    return type === 'date' ? iso.slice(0, 10) : iso.slice(0, 23).replace('T', ' ');
+}
+
 /**
- * Parquet Formatter (simplified - for basic use cases)
+ * SQL Formatter. Every part is a script for one table in the postgres, mysql or sqlite dialect:
+ * an optional CREATE TABLE IF NOT EXISTS, then batched INSERT statements (rowsPerStatement rows
+ * each) or, for postgres, a COPY ... FROM stdin block. Column types are configured or inferred
+ * from the first inferenceRows rows; until then rows are held back and their size is estimated.
  */
-export class ParquetFormatter extends BaseFormatter {
+export class SQLFormatter extends TypedFormatter {
     constructor(options = {}) {
         super(options);
-        this.rows = [];
-        this.batchSize = options.batchSize || 10000;
+        this.dialectName = String(options.dialect || 'postgres').toLowerCase();
+        this.dialect = SQL_DIALECTS[this.dialectName];
+        if (!this.dialect) {
+            throw new Error(`Unsupported SQL dialect: ${options.dialect} (expected ${Object.keys(SQL_DIALECTS).join(', ')})`);
+        }
+        this.table = options.table || null;
+        this.defaultTable = options.defaultTable || 'data';
+        this.rowsPerStatement = options.rowsPerStatement || 500;
+        this.copy = options.copy || false;
+        if (this.copy && this.dialectName !== 'postgres') {
+            throw new Error('COPY output is only supported for the postgres dialect');
+        }
+        this.createTable = options.createTable !== false;
+        this.inferenceRows = options.inferenceRows || 1000;
+        this.types = null;
+        this.pendingRows = [];
+        this.rowsInStatement = 0;
+    }
+
+    // A configured "schema.table" name is quoted part by part; the default is always one identifier
+    get quotedTable() {
+        return this.table
+            ? this.table.split('.').map(this.dialect.quoteIdentifier).join('.')
+            : this.dialect.quoteIdentifier(this.defaultTable);
+    }
+
+    formatHeader(headers, types = this.types) {
+        const columns = headers.map(this.dialect.quoteIdentifier);
+        let header = '';
+        if (this.createTable) {
+            const definitions = headers.map((header, index) => `  ${columns[index]} ${this.dialect.types[types[header]]}`);
+            header += `CREATE TABLE IF NOT EXISTS ${this.quotedTable} (\n${definitions.join(',\n')}\n);\n\n`;
+        }
+        if (this.copy) {
+            header += `COPY ${this.quotedTable} (${columns.join(', ')}) FROM stdin;\n`;
+        }
+        return header;
+    }
+
+    formatValue(value, type, column) {
+        const typed = this.toColumnValue(value, type, column);
+        if (this.copy) {
+            if (typed === null) return '\\N';
+            if (typeof typed === 'boolean') return typed ? 't' : 'f';
+            const text = typed instanceof Date ? formatSQLDate(typed, type) : String(typed);
+            return text.replace(/[\\\t\n\r]/g, (char) => COPY_ESCAPES[char]);
+        }
+
+        if (typed === null) return 'NULL';
+        if (typeof typed === 'boolean') return this.dialect.boolean(typed);
+        if (typeof typed === 'number') return String(typed);
+        return this.dialect.quoteString(typed instanceof Date ? formatSQLDate(typed, type) : typed);
+    }
+
+    formatRow(row, headers, types = this.types) {
+        const values = this.headers.map(header => this.formatValue(row[header], types[header], header));
+        if (this.copy) {
+            return values.join('\t') + '\n';
+        }
+
+        // Each statement ends with the row that fills it, or in the footer
+        const start = this.rowsInStatement === 0
+            ? `INSERT INTO ${this.quotedTable} (${this.headers.map(this.dialect.quoteIdentifier).join(', ')}) VALUES\n`
+            : ',\n';
+        const end = this.rowsInStatement + 1 === this.rowsPerStatement ? ';\n' : '';
+        return `${start}  (${values.join(', ')})${end}`;
+    }
+
+    formatFooter() {
+        if (this.copy) return '\\.\n';
+        return this.rowsInStatement > 0 ? ';\n' : '';
+    }
+
+    // Types each column would get from a single row, for estimates while types are unsettled
+    guessTypes(row) {
+        return Object.fromEntries(this.headers.map(header => [header, this.guessType(header, row[header])]));
     }
 
     async writeHeader(stream, headers) {
         this.headers = headers;
-        this.rows = [];
+        this.pendingRows = [];
+        this.rowsInStatement = 0;
+        this.reportedBytes = 0;
+
+        if (this.hasKnownTypes()) {
+            this.types = this.getTypes([]);
+            return this.write(stream, this.formatHeader(headers));
+        }
+        this.types = null;
+        this.reportedBytes = Buffer.byteLength(this.formatHeader(headers, this.guessTypes({})));
+        return this.reportedBytes;
+    }
+
+    measureRow(row, headers) {
+        if (this.types) {
+            return Buffer.byteLength(this.formatRow(row, headers));
+        }
+        // Configured types still reject values that do not fit, before the row is held back
+        return Buffer.byteLength(this.formatRow(row, headers, this.guessTypes(row)));
     }
 
     async writeRow(stream, row, headers) {
-        this.rows.push(row);
-        
-        // Write batch when it reaches the batch size
-        if (this.rows.length >= this.batchSize) {
-            await this.writeBatch(stream);
+        if (this.types) {
+            // Formatted before the statement count moves, so a row that does not fit its types is skipped cleanly
+            const bytes = this.write(stream, this.formatRow(row, headers));
+            this.rowsInStatement = (this.rowsInStatement + 1) % this.rowsPerStatement;
+            return bytes;
+        }
+
+        const estimate = this.measureRow(row, headers);
+        this.pendingRows.push(row);
+        this.rowsInStatement = (this.rowsInStatement + 1) % this.rowsPerStatement;
+        this.reportedBytes += estimate;
+        if (this.pendingRows.length < this.inferenceRows) {
+            return estimate;
         }
+        return estimate + this.flushPendingRows(stream);
+    }
+
+    /**
+     * Settle the types from the rows held back and write them out. Returns the difference between
+     * the bytes written and the estimates reported for them.
+     */
+    flushPendingRows(stream) {
+        this.types = this.getTypes(this.pendingRows);
+        const rows = this.pendingRows;
+        this.pendingRows = [];
+        this.rowsInStatement = 0;
+
+        let bytes = this.write(stream, this.formatHeader(this.headers));
+        for (const row of rows) {
+            bytes += this.write(stream, this.formatRow(row, this.headers));
+            this.rowsInStatement = (this.rowsInStatement + 1) % this.rowsPerStatement;
+        }
+        return bytes - this.reportedBytes;
     }
 
     async writeFooter(stream) {
-        // Write remaining rows
-        if (this.rows.length > 0) {
-            await this.writeBatch(stream);
+        const correction = this.types ? 0 : this.flushPendingRows(stream);
+        return correction + this.write(stream, this.formatFooter());
+    }
+
+    measureFooter() {
+        return Buffer.byteLength(this.formatFooter());
+    }
+
+    getFileExtension() {
+        return '.sql';
+    }
+}
+
+// Rows per worksheet in Excel, including the header row
+export const XLSX_MAX_SHEET_ROWS = 1048576;
+
+const XLSX_DATE_FORMATS = { date: 'yyyy-mm-dd', datetime: 'yyyy-mm-dd hh:mm:ss' };
+
+/**
+ * XLSX Formatter (exceljs streaming writer). Rows are streamed into worksheets with a bold,
+ * frozen header row; a worksheet that reaches Excel's row limit rolls over to the next sheet.
+ * Numbers, booleans and dates (values converted by typeConversions) become typed cells; other
+ * values are kept as text, so leading zeros and date-like strings survive. The workbook is
+ * compressed, so the bytes reported for size limits are an estimate until the part is closed.
+ */
+export class XLSXFormatter extends BaseFormatter {
+    constructor(options = {}) {
+        super(options);
+        this.columnTypes = options.columnTypes || {};
+        this.maxRowsPerSheet = Math.min(options.maxRowsPerSheet || XLSX_MAX_SHEET_ROWS, XLSX_MAX_SHEET_ROWS);
+        this.workbook = null;
+    }
+
+    addWorksheet() {
+        if (this.worksheet) {
+            this.worksheet.commit();
         }
+        this.sheetCount++;
+        this.worksheet = this.workbook.addWorksheet(`Sheet${this.sheetCount}`, {
+            views: [{ state: 'frozen', ySplit: 1 }]
+        });
+        const header = this.worksheet.addRow(this.headers);
+        header.font = { bold: true };
+        header.commit();
+        this.rowsInSheet = 1;
     }
 
-    async writeBatch(stream) {
-        // For now, we'll write as JSON since parquetjs is complex
-        // In a production environment, you'd use proper Parquet writing
-        const batch = {
-            schema: this.headers,
-            data: this.rows
-        };
-        stream.write(JSON.stringify(batch) + '\n');
-        this.rows = [];
+    toCell(value, header) {
+        const type = this.columnTypes[header] ? normalizeColumnType(this.columnTypes[header]) : null;
+        if (isEmptyValue(value)) return { value: null };
+        if (type === 'date' || type === 'datetime') {
+            const date = DataTypeConverter.parseDate(value);
+            // An unparseable date stays as the text it was
+            return date ? { value: date, numFmt: XLSX_DATE_FORMATS[type] } : { value: String(value) };
+        }
+        if (value instanceof Date) return { value, numFmt: XLSX_DATE_FORMATS.datetime };
+        if (typeof value === 'number' || typeof value === 'boolean') return { value };
+        if (type === 'integer' || type === 'number' || type === 'boolean') {
+            try {
+                return { value: toTypedValue(value, type, header) };
+            } catch (error) {
+                return { value: String(value) };
+            }
+        }
+        return { value: typeof value === 'object' ? JSON.stringify(value) : String(value) };
+    }
+
+    async writeHeader(stream, headers) {
+        this.headers = headers;
+        this.worksheet = null;
+        this.sheetCount = 0;
+        this.bytesWritten = 0;
+
+        // exceljs ends the stream it writes to; the part writer owns (and ends) the file stream
+        this.output = new Writable({
+            write: (chunk, encoding, callback) => {
+                this.bytesWritten += chunk.length;
+                if (stream.write(chunk)) {
+                    callback();
+                } else {
+                    stream.once('drain', callback);
+                }
+            }
+        });
+        this.workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+            stream: this.output,
+            useStyles: true,
+            useSharedStrings: false
+        });
+        this.addWorksheet();
+
+        // Workbook boilerplate (content types, styles, relationships) and the header row, compressed
+        this.reportedBytes = 6144 + this.measureRow(Object.fromEntries(headers.map(header => [header, header])));
+        return this.reportedBytes;
+    }
+
+    /**
+     * Estimated size of a row: its cell XML, before compression
+     */
+    measureRow(row, headers) {
+        return this.headers.reduce((bytes, header) => {
+            const value = row[header];
+            return bytes + 32 + (isEmptyValue(value) ? 0 : Buffer.byteLength(String(value)));
+        }, 16);
+    }
+
+    async writeRow(stream, row, headers) {
+        if (this.rowsInSheet >= this.maxRowsPerSheet) {
+            this.addWorksheet();
+        }
+
+        const cells = this.headers.map(header => this.toCell(row[header], header));
+        const sheetRow = this.worksheet.addRow(cells.map(cell => cell.value));
+        cells.forEach((cell, index) => {
+            if (cell.numFmt) sheetRow.getCell(index + 1).numFmt = cell.numFmt;
+        });
+        sheetRow.commit();
+        this.rowsInSheet++;
+
+        const bytes = this.measureRow(row, headers);
+        this.reportedBytes += bytes;
+        return bytes;
+    }
+
+    measureFooter() {
+        return 0;
+    }
+
+    /**
+     * Finish the workbook; returns the difference between its actual size and the estimates
+     */
+    async writeFooter(stream) {
+        this.worksheet.commit();
+        await this.workbook.commit();
+        this.workbook = null;
+        this.worksheet = null;
+        return this.bytesWritten - this.reportedBytes;
+    }
+
+    getFileExtension() {
+        return '.xlsx';
+    }
+}
+
+const ARROW_TYPES = {
+    integer: () => new Int64(),
+    number: () => new Float64(),
+    boolean: () => new Bool(),
+    date: () => new DateDay(),
+    datetime: () => new TimestampMillisecond(),
+    string: () => new Utf8()
+};
+
+// Body bytes of a non-null value (strings also carry a 4-byte offset)
+const ARROW_VALUE_BYTES = { integer: 8, number: 8, boolean: 1, date: 4, datetime: 8 };
+
+const ARROW_IPC_FORMATS = { file: '.arrow', stream: '.arrows' };
+
+/**
+ * Arrow Formatter (apache-arrow). Every part is a complete Arrow IPC file (random access, with a
+ * footer) or stream, holding record batches of batchSize rows with one nullable column per
+ * header, typed from the first batch unless configured. Rows are buffered into batches, so the
+ * bytes reported for size limits are an estimate until the part is closed.
+ */
+export class ArrowFormatter extends TypedFormatter {
+    constructor(options = {}) {
+        super(options);
+        this.batchSize = options.batchSize || 10000;
+        this.ipcFormat = String(options.ipcFormat || 'file').toLowerCase();
+        if (!ARROW_IPC_FORMATS[this.ipcFormat]) {
+            throw new Error(`Unsupported Arrow IPC format: ${options.ipcFormat} (expected ${Object.keys(ARROW_IPC_FORMATS).join(', ')})`);
+        }
+        this.writer = null;
+        this.types = null;
+        this.pendingRows = [];
+    }
+
+    /**
+     * Settle the schema and start the writer; its bytes are copied to the part stream as they come
+     */
+    openWriter(sampleRows) {
+        this.types = this.getTypes(sampleRows);
+        this.schema = new Schema(this.headers.map(header => new Field(header, ARROW_TYPES[this.types[header]](), true)));
+        this.writer = this.ipcFormat === 'file' ? new RecordBatchFileWriter() : new RecordBatchStreamWriter();
+
+        const stream = this.stream;
+        const writer = this.writer;
+        this.pump = (async () => {
+            for await (const chunk of writer) {
+                this.bytesWritten += chunk.length;
+                if (!stream.write(chunk)) {
+                    await once(stream, 'drain');
+                }
+            }
+        })();
+        // Surfaced when the part is closed
+        this.pump.catch(() => {});
+        this.writer.reset(undefined, this.schema);
+    }
+
+    /**
+     * A row's values converted to its column types (throws if one does not fit)
+     */
+    toTypedValues(row) {
+        return this.headers.map(header => this.toColumnValue(row[header], this.types[header], header));
+    }
+
+    toArrowValue(value, type) {
+        if (value === null) return null;
+        if (type === 'integer') return BigInt(value);
+        if (type === 'datetime') return value.getTime();
+        return value;
+    }
+
+    /**
+     * Write the typed rows collected so far as one record batch
+     */
+    writeBatch() {
+        const rows = this.batchRows;
+        this.batchRows = [];
+        if (rows.length === 0) return;
+
+        const children = this.schema.fields.map((field, index) => {
+            const type = this.types[field.name];
+            return vectorFromArray(rows.map(values => this.toArrowValue(values[index], type)), field.type).data[0];
+        });
+        this.writer.write(new RecordBatch(this.schema, makeData({
+            type: new Struct(this.schema.fields),
+            length: rows.length,
+            nullCount: 0,
+            children
+        })));
+    }
+
+    async writeHeader(stream, headers) {
+        this.stream = stream;
+        this.headers = headers;
+        this.writer = null;
+        this.types = null;
+        this.pendingRows = [];
+        this.batchRows = [];
+        this.rowsInBatch = 0;
+        this.bytesWritten = 0;
+
+        // With a known schema the part is started straight away; otherwise the first batch decides it
+        if (this.hasKnownTypes()) {
+            this.openWriter([]);
+        }
+
+        // Magic (file format) and the schema message
+        this.reportedBytes = (this.ipcFormat === 'file' ? 8 : 0) + this.measureSchema();
+        return this.reportedBytes;
+    }
+
+    measureSchema() {
+        return 64 + this.headers.reduce((total, header) => total + 48 + Buffer.byteLength(header), 0);
+    }
+
+    /**
+     * Estimated size of a row in its batch; the first row of each batch also carries the batch's
+     * message header and buffer padding
+     */
+    measureRow(row, headers) {
+        let bytes = 0;
+        for (const header of this.headers) {
+            const value = row[header];
+            if (isEmptyValue(value)) continue;
+            // Until the schema is settled, each value is measured as the type it looks like
+            bytes += ARROW_VALUE_BYTES[this.guessType(header, value)] || Buffer.byteLength(String(value)) + 4;
+        }
+        // Validity bitmaps
+        bytes += Math.ceil(this.headers.length / 8);
+
+        if (this.rowsInBatch % this.batchSize === 0) {
+            bytes += 64 + this.headers.length * 64;
+        }
+        return bytes;
+    }
+
+    /**
+     * Estimated size of the end of the part: the end-of-stream marker, and for the file format
+     * the footer (schema and batch index), its length and the closing magic
+     */
+    measureFooter() {
+        return this.ipcFormat === 'file' ? 24 + this.measureSchema() + 24 * Math.ceil(this.rowsInBatch / this.batchSize) : 8;
+    }
+
+    async writeRow(stream, row, headers) {
+        const bytes = this.measureRow(row, headers);
+
+        if (this.writer) {
+            // Converted first, so a row that does not fit the schema leaves nothing behind
+            this.batchRows.push(this.toTypedValues(row));
+        } else {
+            // Configured columns are checked now; inferred ones fit the rows they are inferred from
+            this.checkConfiguredTypes(row);
+            this.pendingRows.push(row);
+        }
+        this.rowsInBatch++;
+        this.reportedBytes += bytes;
+
+        if (this.rowsInBatch % this.batchSize === 0) {
+            if (!this.writer) {
+                this.flushPendingRows();
+            }
+            this.writeBatch();
+        }
+        return bytes;
+    }
+
+    flushPendingRows() {
+        this.openWriter(this.pendingRows);
+        this.batchRows = this.pendingRows.map(row => this.toTypedValues(row));
+        this.pendingRows = [];
+    }
+
+    /**
+     * Write the last batch and close the part; returns the difference between its actual size
+     * and the estimates
+     */
+    async writeFooter(stream) {
+        if (!this.writer) {
+            this.flushPendingRows();
+        }
+        this.writeBatch();
+        this.writer.finish();
+        await this.pump;
+        this.writer = null;
+        return this.bytesWritten - this.reportedBytes;
     }
 
     getFileExtension() {
-        return '.parquet.json'; // Simplified format
+        return ARROW_IPC_FORMATS[this.ipcFormat];
     }
 }
 
@@ -222,6 +1181,12 @@ export function createFormatter(format, options = {}) {
             return new TSVFormatter(options);
         case 'parquet':
             return new ParquetFormatter(options);
+        case 'sql':
+            return new SQLFormatter(options);
+        case 'xlsx':
+            return new XLSXFormatter(options);
+        case 'arrow':
+            return new ArrowFormatter(options);
         default:
             throw new Error(`Unsupported output format: ${format}`);
     }
@@ -231,16 +1196,28 @@ export function createFormatter(format, options = {}) {
  * Get supported formats
  */
 export function getSupportedFormats() {
-    return ['csv', 'json', 'jsonl', 'xml', 'tsv', 'parquet'];
+    return ['csv', 'json', 'jsonl', 'xml', 'tsv', 'parquet', 'sql', 'xlsx', 'arrow'];
 }
 
 export default {
     BaseFormatter,
     CSVFormatter,
     JSONFormatter,
+    nestDottedKeys,
+    assertNestableHeaders,
     XMLFormatter,
     TSVFormatter,
+    TypedFormatter,
     ParquetFormatter,
+    SQLFormatter,
+    XLSXFormatter,
+    XLSX_MAX_SHEET_ROWS,
+    ArrowFormatter,
+    normalizeColumnType,
+    inferColumnType,
+    resolveColumnTypes,
+    toTypedValue,
+    InferredTypeError,
     createFormatter,
     getSupportedFormats
 };
@@ -0,0 +1,186 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DEFAULT_DIALECT, createInputStream, createCSVStream } from '../readers/index.js';
+import { detectPartFormat, readPartRows } from '../readers/parts.js';
+
+/**
+ * Manifest Module
+ * Describes the parts a run wrote, so downstream jobs can confirm a load is complete
+ */
+
+export const MANIFEST_FILE = 'manifest.json';
+export const MANIFEST_VERSION = 1;
+
+/**
+ * SHA-256 of a file as a hex string, streamed so large files are never held in memory
+ */
+export function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Manifest entry for a closed part, with its path relative to the output directory
+ */
+export async function describePart(part, outputDirectory, headers) {
+    const stats = await fs.promises.stat(part.filePath);
+    return {
+        path: path.relative(outputDirectory, part.filePath).split(path.sep).join('/'),
+        partition: part.partition || null,
+        rows: part.rows,
+        bytes: stats.size,
+        sha256: await hashFile(part.filePath),
+        firstSourceRow: part.firstSourceRow,
+        lastSourceRow: part.lastSourceRow,
+        headers
+    };
+}
+
+/**
+ * Write the manifest into the output directory. It is renamed into place, so a manifest that
+ * exists is always complete and can be used as the signal that the output is ready.
+ */
+export async function writeManifest(outputDirectory, manifest) {
+    const manifestPath = path.join(outputDirectory, MANIFEST_FILE);
+    const temporaryPath = path.join(outputDirectory, `.${MANIFEST_FILE}-${process.pid}.partial`);
+    await fs.promises.writeFile(temporaryPath, JSON.stringify(manifest, null, 2) + '\n');
+    await fs.promises.rename(temporaryPath, manifestPath);
+    return manifestPath;
+}
+
+/**
+ * Read and check the manifest in an output directory
+ */
+export async function readManifest(outputDirectory) {
+    const manifestPath = path.join(outputDirectory, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`No ${MANIFEST_FILE} found in ${outputDirectory}`);
+    }
+
+    const manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+    if (manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.parts)) {
+        throw new Error(`Unsupported manifest version: ${manifest.version}`);
+    }
+    return manifest;
+}
+
+/**
+ * Every file below the output directory as a "/"-separated relative path, leaving out hidden
+ * files (unfinished parts) and the manifest itself
+ */
+function listOutputFiles(directory, prefix = '') {
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.') && !(prefix === '' && entry.name === MANIFEST_FILE))
+        .flatMap(entry => entry.isDirectory()
+            ? listOutputFiles(path.join(directory, entry.name), `${prefix}${entry.name}/`)
+            : [`${prefix}${entry.name}`]);
+}
+
+/**
+ * Count the rows of a part file in any output format (null if it cannot be read, e.g. cut off mid-row)
+ */
+export async function countPartRows(filePath) {
+    try {
+        let rows = 0;
+        for await (const row of readPartRows(filePath)) {
+            rows++;
+        }
+        return rows;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Count the data rows of a CSV input file
+ */
+export async function countInputRows(filePath, dialect = DEFAULT_DIALECT) {
+    const readStream = createInputStream(filePath, dialect);
+    const csvStream = readStream.pipe(createCSVStream(dialect));
+    readStream.on('error', (error) => csvStream.destroy(error));
+
+    let rows = 0;
+    for await (const row of csvStream) {
+        rows++;
+    }
+    return rows;
+}
+
+/**
+ * Check an output directory against its manifest. Every listed part is re-hashed and, if its
+ * format can be read back (counted), its rows re-counted; its status is "ok", "missing",
+ * "truncated" (smaller than recorded) or "modified" (different size, checksum or row count). Files the manifest does not list are reported as extra.
+ * With checkInput, the input (at its recorded path unless inputFilePath is given) is re-read
+ * and its row count compared with the manifest.
+ */
+export async function verifyOutput(outputDirectory, { checkInput = false, inputFilePath = null } = {}) {
+    const manifest = await readManifest(outputDirectory);
+
+    const parts = [];
+    for (const part of manifest.parts) {
+        const filePath = path.join(outputDirectory, ...part.path.split('/'));
+        const result = { path: part.path, status: 'ok', expected: part, bytes: null, rows: null, counted: false, sha256: null };
+        parts.push(result);
+
+        if (!fs.existsSync(filePath)) {
+            result.status = 'missing';
+            continue;
+        }
+
+        result.bytes = fs.statSync(filePath).size;
+        result.sha256 = await hashFile(filePath);
+        // Formats that cannot be read back (SQL scripts) are checked by size and checksum only
+        result.counted = Boolean(detectPartFormat(filePath));
+        result.rows = result.counted ? await countPartRows(filePath) : null;
+
+        if (result.bytes < part.bytes) {
+            result.status = 'truncated';
+        } else if (result.bytes !== part.bytes || result.sha256 !== part.sha256 || (result.counted && result.rows !== part.rows)) {
+            result.status = 'modified';
+        }
+    }
+
+    const listed = new Set(manifest.parts.map(part => part.path));
+    const extra = listOutputFiles(outputDirectory).filter(file => !listed.has(file));
+
+    // The parts must add up to the rows the run says it wrote
+    const partRows = manifest.parts.reduce((total, part) => total + part.rows, 0);
+    const totals = { rows: partRows, expected: manifest.totalRows, ok: partRows === manifest.totalRows };
+
+    let input = null;
+    if (checkInput || inputFilePath) {
+        const inputPath = inputFilePath || manifest.input.path;
+        input = { path: inputPath, rows: null, expected: manifest.input.rows, ok: false };
+        if (fs.existsSync(inputPath)) {
+            input.rows = await countInputRows(inputPath, manifest.options.dialect || DEFAULT_DIALECT);
+            input.ok = input.rows === manifest.input.rows && manifest.totalRows + manifest.rejectedRows === input.rows;
+        }
+    }
+
+    return {
+        manifest,
+        parts,
+        extra,
+        totals,
+        input,
+        ok: parts.every(part => part.status === 'ok') && extra.length === 0 && totals.ok && (!input || input.ok)
+    };
+}
+
+export default {
+    MANIFEST_FILE,
+    MANIFEST_VERSION,
+    hashFile,
+    describePart,
+    writeManifest,
+    readManifest,
+    countPartRows,
+    countInputRows,
+    verifyOutput
+};
@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import { createFormatter } from '../formatters/index.js';
+import { detectPartFormat, readPartRows, readPartHeaders } from '../readers/parts.js';
+import { MANIFEST_FILE } from '../manifest/index.js';
+
+/**
+ * Merging Module
+ * Reassemble split parts, from one run or from many source files, into a single output
+ */
+
+const GLOB_CHARACTERS = /[*?]/;
+
+// Natural order, so split_part_2 comes before split_part_10
+const compareNames = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+/**
+ * Every file below a directory, in natural order (hidden files such as unfinished parts and
+ * run manifests are skipped)
+ */
+function walkFiles(directory) {
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.') && entry.name !== MANIFEST_FILE)
+        .sort((a, b) => compareNames(a.name, b.name))
+        .flatMap(entry => {
+            const entryPath = path.join(directory, entry.name);
+            return entry.isDirectory() ? walkFiles(entryPath) : [entryPath];
+        });
+}
+
+/**
+ * Convert a glob such as "output/split_part_*.csv" to a regular expression over "/"-separated
+ * paths: "*" and "?" stay within one directory, "**" spans directories
+ */
+export function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // "**/" matches any number of directories, including none
+            source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += pattern[i + 2] === '/' ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Expand directories and globs into the part files to merge, in order. Files named explicitly are
+ * always included; directories and globs only contribute files with a part file extension.
+ */
+export function listPartFiles(inputs) {
+    const files = [];
+
+    for (const input of [].concat(inputs)) {
+        if (GLOB_CHARACTERS.test(input)) {
+            const pattern = input.split(path.sep).join('/');
+            const segments = pattern.split('/');
+            const firstGlob = segments.findIndex(segment => GLOB_CHARACTERS.test(segment));
+            const base = segments.slice(0, firstGlob).join('/') || '.';
+            const matcher = globToRegExp(pattern.replace(/^\.\//, ''));
+
+            if (fs.existsSync(base) && fs.statSync(base).isDirectory()) {
+                files.push(...walkFiles(base).filter(file =>
+                    matcher.test(file.split(path.sep).join('/')) && detectPartFormat(file)));
+            }
+        } else if (!fs.existsSync(input)) {
+            throw new Error(`Part file or directory not found: ${input}`);
+        } else if (fs.statSync(input).isDirectory()) {
+            files.push(...walkFiles(input).filter(file => detectPartFormat(file)));
+        } else {
+            files.push(input);
+        }
+    }
+
+    return [...new Set(files)];
+}
+
+/**
+ * Merge split parts into one file (or stdout, with outputFile "-") in any output format.
+ * Parts may be in different formats; their header lines, JSON brackets and XML root elements are
+ * dropped and rows are re-written under one header. Parts whose header sets differ are an error,
+ * unless unionHeaders is set: then the header is the union and missing values are left empty.
+ */
+export async function mergeParts({ inputs, outputFile, outputFormat = 'csv', unionHeaders = false, quiet = false }) {
+    // Never read the file being written, e.g. when merging into the parts directory
+    const files = listPartFiles(inputs)
+        .filter(file => outputFile === '-' || path.resolve(file) !== path.resolve(outputFile));
+    if (files.length === 0) {
+        throw new Error(`No part files found in: ${[].concat(inputs).join(', ')}`);
+    }
+
+    // The merged header has to be known before the first row is written
+    let headers = null;
+    let referenceFile = null;
+    for (const file of files) {
+        const partHeaders = await readPartHeaders(file);
+        if (!partHeaders) continue; // Empty JSON or XML part
+
+        if (!headers) {
+            headers = [...partHeaders];
+            referenceFile = file;
+            continue;
+        }
+
+        const missing = headers.filter(header => !partHeaders.includes(header));
+        const extra = partHeaders.filter(header => !headers.includes(header));
+        if (missing.length === 0 && extra.length === 0) continue;
+
+        if (!unionHeaders) {
+            const differences = [
+                missing.length > 0 ? `missing ${missing.join(', ')}` : null,
+                extra.length > 0 ? `extra ${extra.join(', ')}` : null
+            ].filter(Boolean).join('; ');
+            throw new Error(`Headers of ${file} differ from ${referenceFile} (${differences}); use union headers to merge anyway`);
+        }
+        headers.push(...extra);
+    }
+    headers = headers || [];
+
+    const formatter = createFormatter(outputFormat, { rootElement: 'data', rowElement: 'row' });
+    const toStdout = outputFile === '-';
+    if (!toStdout) {
+        fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
+    }
+    const stream = toStdout ? process.stdout : fs.createWriteStream(outputFile, { encoding: 'utf8' });
+
+    let totalRows = 0;
+    await formatter.writeHeader(stream, headers);
+    for (const file of files) {
+        let partRows = 0;
+        for await (const row of readPartRows(file)) {
+            // Same columns in the same order for every row, whatever part it came from
+            const mergedRow = Object.fromEntries(headers.map(header => [header, row[header] ?? '']));
+            await formatter.writeRow(stream, mergedRow, headers);
+            partRows++;
+
+            // Respect backpressure from the output
+            if (stream.writableNeedDrain) {
+                await once(stream, 'drain');
+            }
+        }
+        totalRows += partRows;
+
+        if (!quiet) {
+            console.log(`📎 Merged ${file} (${partRows.toLocaleString()} rows)`);
+        }
+    }
+    await formatter.writeFooter(stream);
+
+    // Wait until everything has been flushed (stdout stays open)
+    await new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        if (toStdout) {
+            stream.write('', resolve);
+        } else {
+            stream.end(resolve);
+        }
+    });
+
+    return { files, headers, totalRows };
+}
+
+export default {
+    globToRegExp,
+    listPartFiles,
+    mergeParts
+};
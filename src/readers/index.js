@@ -0,0 +1,383 @@
+import fs from 'fs';
+import csv from 'csv-parser';
+
+/**
+ * Input Reading Module
+ * Shared helpers for reading delimited input with a configurable dialect
+ */
+
+export const DEFAULT_DIALECT = {
+    delimiter: ',',
+    quote: '"',
+    escape: '"',
+    encoding: 'utf8'
+};
+
+const CHARACTER_ALIASES = {
+    '\\t': '\t',
+    'tab': '\t',
+    'comma': ',',
+    'semicolon': ';',
+    'pipe': '|',
+    'space': ' '
+};
+
+/**
+ * Normalize a single dialect character, accepting common aliases such as "tab" or "\t"
+ */
+function resolveCharacter(value, name, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+
+    const str = String(value);
+    const resolved = CHARACTER_ALIASES[str.toLowerCase()] || str;
+
+    if (Buffer.byteLength(resolved) !== 1) {
+        throw new Error(`Invalid ${name}: "${str}" (must be a single-byte character)`);
+    }
+    return resolved;
+}
+
+/**
+ * Build a dialect from parser options, filling in defaults and validating values
+ */
+export function resolveDialect(options = {}) {
+    const delimiter = resolveCharacter(options.inputDelimiter, 'delimiter', DEFAULT_DIALECT.delimiter);
+    const quote = resolveCharacter(options.quoteChar, 'quote character', DEFAULT_DIALECT.quote);
+    // Escape defaults to the quote character, i.e. RFC 4180 doubled quotes
+    const escape = resolveCharacter(options.escapeChar, 'escape character', quote);
+    const encoding = options.inputEncoding || DEFAULT_DIALECT.encoding;
+
+    if (!Buffer.isEncoding(encoding)) {
+        throw new Error(`Unsupported input encoding: ${encoding}`);
+    }
+
+    return { delimiter, quote, escape, encoding };
+}
+
+/**
+ * Create a read stream for the input file, decoding it if it is not UTF-8
+ */
+export function createInputStream(filePath, dialect = DEFAULT_DIALECT, range = {}) {
+    const streamOptions = { ...range };
+
+    // csv-parser works on UTF-8 bytes; other encodings are decoded to strings first
+    if (/^utf-?8$/i.test(dialect.encoding)) {
+        return fs.createReadStream(filePath, streamOptions);
+    }
+    return fs.createReadStream(filePath, { ...streamOptions, encoding: dialect.encoding });
+}
+
+/**
+ * Create a csv-parser transform configured for the given dialect
+ */
+export function createCSVStream(dialect = DEFAULT_DIALECT, parserOptions = {}) {
+    return csv({
+        separator: dialect.delimiter,
+        quote: dialect.quote,
+        escape: dialect.escape,
+        // Drop a byte order mark that survived decoding so the first header stays clean
+        mapHeaders: ({ header, index }) => index === 0 ? header.replace(/^\uFEFF/, '') : header,
+        ...parserOptions
+    });
+}
+
+const DELIMITER_CANDIDATES = [',', ';', '|', '\t'];
+const QUOTE_CANDIDATES = ['"', "'"];
+const SNIFF_ROW_LIMIT = 50;
+
+/**
+ * Detect a byte order mark at the start of a buffer
+ */
+function detectBOM(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return { name: 'UTF-8', encoding: 'utf8', length: 3 };
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return { name: 'UTF-16LE', encoding: 'utf16le', length: 2 };
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+        return { name: 'UTF-16BE', encoding: 'utf16be', length: 2 };
+    }
+    return null;
+}
+
+/**
+ * Guess the text encoding of a sample that has no byte order mark
+ */
+function detectEncoding(buffer) {
+    // Mostly-zero odd bytes is the signature of little-endian UTF-16 text
+    let oddZeros = 0;
+    for (let i = 1; i < buffer.length; i += 2) {
+        if (buffer[i] === 0) oddZeros++;
+    }
+    if (buffer.length >= 4 && oddZeros / Math.floor(buffer.length / 2) > 0.3) {
+        return 'utf16le';
+    }
+
+    try {
+        // The sample may end part-way through a multi-byte character
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+        return 'utf8';
+    } catch {
+        return 'latin1';
+    }
+}
+
+/**
+ * Split sample text into records using a simple quote-aware state machine
+ */
+function parseSampleRecords(text, delimiter, quote, limit = SNIFF_ROW_LIMIT) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length && records.length < limit; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === quote && text[i + 1] === quote) {
+                field += quote;
+                i++;
+            } else if (char === quote) {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === quote && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            fields.push(field);
+            records.push(fields);
+            fields = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    return records;
+}
+
+/**
+ * Score how well a delimiter/quote pair explains the sample: consistent, wide rows score highest
+ */
+function scoreDialect(records) {
+    if (records.length === 0) return 0;
+
+    const counts = new Map();
+    records.forEach(record => counts.set(record.length, (counts.get(record.length) || 0) + 1));
+    const [modalWidth, modalCount] = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+
+    if (modalWidth < 2) return 0;
+    return (modalCount / records.length) * modalWidth;
+}
+
+/**
+ * Guess whether the first record is a header row rather than data
+ */
+function detectHeaderRow(records) {
+    if (records.length === 0) return false;
+
+    const [first, ...rest] = records;
+    const isNumeric = value => value.trim() !== '' && !isNaN(Number(value));
+
+    if (first.some(value => value.trim() === '' || isNumeric(value))) {
+        return false;
+    }
+    if (new Set(first).size !== first.length) {
+        return false;
+    }
+    if (rest.length === 0) {
+        return true;
+    }
+
+    // A column whose body is numeric but whose first value is not strongly suggests a header
+    const hasNumericColumn = first.some((_, index) => {
+        const values = rest.map(record => record[index]).filter(value => value !== undefined && value !== '');
+        return values.length > 0 && values.every(isNumeric);
+    });
+    if (hasNumericColumn) {
+        return true;
+    }
+
+    // Otherwise a header value should not reappear in its own column
+    return first.every((value, index) => !rest.some(record => record[index] === value));
+}
+
+/**
+ * Sample the start of a file and guess its dialect, encoding and header row
+ */
+export async function sniffDialect(filePath, options = {}) {
+    const sampleBytes = options.sampleBytes || 64 * 1024;
+    const handle = await fs.promises.open(filePath, 'r');
+    let sample;
+
+    try {
+        const buffer = Buffer.alloc(sampleBytes);
+        const { bytesRead } = await handle.read(buffer, 0, sampleBytes, 0);
+        sample = buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+
+    const bom = detectBOM(sample);
+    const encoding = bom ? bom.encoding : detectEncoding(sample);
+    const body = bom ? sample.subarray(bom.length) : sample;
+    // Node has no big-endian UTF-16 decoder, so swap byte pairs and decode as little-endian
+    let text = encoding === 'utf16be'
+        ? Buffer.from(body.subarray(0, body.length - (body.length % 2))).swap16().toString('utf16le')
+        : body.toString(encoding);
+
+    // Ignore a trailing partial line when the sample was cut short
+    if (sample.length === sampleBytes) {
+        const lastBreak = Math.max(text.lastIndexOf('\n'), text.lastIndexOf('\r'));
+        if (lastBreak > 0) text = text.slice(0, lastBreak + 1);
+    }
+
+    const crlf = (text.match(/\r\n/g) || []).length;
+    const lf = (text.match(/(^|[^\r])\n/g) || []).length;
+    const cr = (text.match(/\r(?!\n)/g) || []).length;
+    const lineTerminator = crlf === 0 && lf === 0 && cr === 0
+        ? 'LF'
+        : crlf >= lf && crlf >= cr ? 'CRLF' : lf >= cr ? 'LF' : 'CR';
+
+    // Candidates are tried in order of preference; a later one must score strictly higher to win
+    let best = { delimiter: DEFAULT_DIALECT.delimiter, quote: DEFAULT_DIALECT.quote, score: 0, records: [] };
+    for (const quote of QUOTE_CANDIDATES) {
+        for (const delimiter of DELIMITER_CANDIDATES) {
+            const records = parseSampleRecords(text, delimiter, quote);
+            const score = scoreDialect(records);
+            if (score > best.score) {
+                best = { delimiter, quote, score, records };
+            }
+        }
+    }
+
+    return {
+        delimiter: best.delimiter,
+        quote: best.quote,
+        escape: best.quote,
+        encoding,
+        bom: bom ? bom.name : null,
+        lineTerminator,
+        hasHeader: detectHeaderRow(best.records),
+        sampleBytes: sample.length
+    };
+}
+
+const SCAN_BUFFER_SIZE = 1024 * 1024;
+
+/**
+ * Scan a file for record boundaries, tracking quote state the same way csv-parser does so that
+ * delimiters and newlines inside quoted fields are never mistaken for the end of a record.
+ *
+ * Returns the byte offset where data starts (just after the header line), the record terminator
+ * in use, and for every target offset the first record start at or after it.
+ */
+export async function findRecordBoundaries(filePath, dialect = DEFAULT_DIALECT, targets = []) {
+    // UTF-16 input is scanned in two-byte code units, everything else byte by byte
+    const unitSize = /^(utf-?16le|ucs-?2)$/i.test(dialect.encoding) ? 2 : 1;
+    const quote = dialect.quote.charCodeAt(0);
+    const escape = dialect.escape.charCodeAt(0);
+    const lf = 0x0A;
+    const cr = 0x0D;
+
+    const sortedTargets = [...targets].sort((a, b) => a - b);
+    const boundaries = new Map();
+    let targetIndex = 0;
+
+    let dataStart = null;
+    let newline = null;
+    let quoted = false;
+    let escaped = false;
+
+    // Each unit is processed once its successor is known, so one unit is always pending
+    let pending = null;
+    let pendingOffset = 0;
+
+    const recordStart = (offset) => {
+        if (dataStart === null) {
+            dataStart = offset;
+        }
+        while (targetIndex < sortedTargets.length && sortedTargets[targetIndex] <= offset) {
+            boundaries.set(sortedTargets[targetIndex], offset);
+            targetIndex++;
+        }
+    };
+
+    const processUnit = (unit, offset, next) => {
+        if (!escaped && unit === escape && next === quote) {
+            escaped = true;
+            return;
+        }
+        if (unit === quote) {
+            if (escaped) {
+                escaped = false;
+            } else {
+                quoted = !quoted;
+            }
+            return;
+        }
+        if (quoted) return;
+
+        // The header line decides the terminator, as csv-parser does
+        if (newline === null && (unit === lf || unit === cr)) {
+            newline = unit === cr && next !== lf ? cr : lf;
+        }
+        if (unit === newline) {
+            recordStart(offset + unitSize);
+        }
+    };
+
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SCAN_BUFFER_SIZE - (SCAN_BUFFER_SIZE % unitSize));
+        let position = 0;
+
+        while (true) {
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+            if (bytesRead === 0) break;
+
+            const usable = bytesRead - (bytesRead % unitSize);
+            for (let i = 0; i < usable; i += unitSize) {
+                const unit = unitSize === 2 ? buffer.readUInt16LE(i) : buffer[i];
+                if (pending !== null) {
+                    processUnit(pending, pendingOffset, unit);
+                }
+                pending = unit;
+                pendingOffset = position + i;
+            }
+            position += usable;
+
+            // Stop early once every target has been placed
+            if (targetIndex >= sortedTargets.length && dataStart !== null) break;
+            if (usable === 0) break;
+        }
+
+        if (pending !== null) {
+            processUnit(pending, pendingOffset, null);
+        }
+    } finally {
+        await handle.close();
+    }
+
+    return {
+        dataStart,
+        newline: newline === cr ? '\r' : '\n',
+        boundaries: targets.map(target => boundaries.has(target) ? boundaries.get(target) : null)
+    };
+}
+
+export default {
+    DEFAULT_DIALECT,
+    resolveDialect,
+    createInputStream,
+    createCSVStream,
+    sniffDialect,
+    findRecordBoundaries
+};
@@ -0,0 +1,373 @@
+import fs from 'fs';
+import readline from 'readline';
+import { XMLParser } from 'fast-xml-parser';
+import parquet from 'parquetjs';
+import ExcelJS from 'exceljs';
+import { RecordBatchReader, DataType } from 'apache-arrow';
+import { DEFAULT_DIALECT, createCSVStream } from './index.js';
+
+/**
+ * Part Reading Module
+ * Reads split parts back in every output format, for merge and verify. Kept apart from the input
+ * readers so worker threads, which only parse CSV, do not load the format libraries.
+ */
+
+// Part file extensions written by the formatters, longest first so ".jsonl" wins over ".json"
+const PART_EXTENSIONS = [
+    ['.parquet', 'parquet'],
+    ['.xlsx', 'xlsx'],
+    ['.arrows', 'arrow'],
+    ['.arrow', 'arrow'],
+    ['.jsonl', 'jsonl'],
+    ['.json', 'json'],
+    ['.csv', 'csv'],
+    ['.tsv', 'tsv'],
+    ['.xml', 'xml']
+];
+
+/**
+ * Output format of a split part, from its file extension (null if it is not a part file)
+ */
+export function detectPartFormat(filePath) {
+    const name = filePath.toLowerCase();
+    const match = PART_EXTENSIONS.find(([extension]) => name.endsWith(extension));
+    return match ? match[1] : null;
+}
+
+/**
+ * Read a file line by line, closing it when the caller stops early
+ */
+async function* readLines(filePath) {
+    const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+        yield* lines;
+    } finally {
+        lines.close();
+        input.destroy();
+    }
+}
+
+/**
+ * First non-whitespace character of a file, to tell JSON arrays from JSON Lines
+ */
+async function readFirstCharacter(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(4096), 0, 4096, 0);
+        return buffer.toString('utf8', 0, bytesRead).replace(/^\uFEFF/, '').trimStart().charAt(0);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Stream the elements of a top-level JSON array without loading the whole file
+ */
+async function* readJSONArray(filePath) {
+    const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let element = '';
+
+    try {
+        for await (const chunk of input) {
+            for (const char of chunk) {
+                if (inString) {
+                    element += char;
+                    if (escaped) {
+                        escaped = false;
+                    } else if (char === '\\') {
+                        escaped = true;
+                    } else if (char === '"') {
+                        inString = false;
+                    }
+                    continue;
+                }
+
+                if (char === '"') {
+                    inString = true;
+                } else if (char === '[' || char === '{') {
+                    if (++depth === 1) continue;
+                } else if (char === ']' || char === '}') {
+                    if (--depth === 0) {
+                        if (element.trim()) yield JSON.parse(element);
+                        element = '';
+                        continue;
+                    }
+                } else if (char === ',' && depth === 1) {
+                    yield JSON.parse(element);
+                    element = '';
+                    continue;
+                }
+
+                if (depth >= 1) element += char;
+            }
+        }
+    } finally {
+        input.destroy();
+    }
+}
+
+/**
+ * Undo nesting of dotted headers in JSON parts: { address: { city: "Oslo" } } becomes
+ * { "address.city": "Oslo" }
+ */
+function flattenNestedKeys(row, prefix = '', flat = {}) {
+    for (const [key, value] of Object.entries(row)) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flattenNestedKeys(value, `${prefix}${key}.`, flat);
+        } else {
+            flat[`${prefix}${key}`] = value;
+        }
+    }
+    return flat;
+}
+
+/**
+ * Stream the row elements of an XML part (<root><row>...</row>...</root>); the row element is
+ * whichever element comes first inside the root
+ */
+async function* readXMLRows(filePath) {
+    const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+    const parser = new XMLParser({ parseTagValue: false });
+    let buffer = '';
+    let rowElement = null;
+    let rowPattern = null;
+
+    try {
+        for await (const chunk of input) {
+            buffer += chunk;
+
+            if (!rowPattern) {
+                const start = buffer.match(/^\uFEFF?\s*(?:<\?[\s\S]*?\?>\s*)?<[\w.:-]+[^>]*>\s*<([\w.:-]+)/);
+                if (!start) continue;
+                rowElement = start[1];
+                rowPattern = new RegExp(`<${rowElement}(?:\\s[^>]*)?(?:/>|>[\\s\\S]*?</${rowElement}>)`, 'g');
+                buffer = buffer.slice(start[0].length - rowElement.length - 1);
+            }
+
+            // Only complete row elements match; a row cut off by the chunk boundary waits for the next chunk
+            let consumed = 0;
+            for (const match of buffer.matchAll(rowPattern)) {
+                const row = parser.parse(match[0])[rowElement];
+                yield row && typeof row === 'object' ? row : {};
+                consumed = match.index + match[0].length;
+            }
+            buffer = buffer.slice(consumed);
+        }
+    } finally {
+        input.destroy();
+    }
+}
+
+/**
+ * Read the rows of a Parquet file. Dates and timestamps come back as ISO strings and nulls as
+ * empty values, so rows look like those of the other formats.
+ */
+async function* readParquetRows(filePath, onHeaders) {
+    let reader;
+    try {
+        reader = await parquet.ParquetReader.openFile(filePath);
+    } catch (error) {
+        // parquetjs throws plain strings
+        throw error instanceof Error ? error : new Error(`Invalid Parquet file ${filePath}: ${error}`);
+    }
+
+    try {
+        const fields = reader.getSchema().fieldList;
+        onHeaders(fields.map(field => field.name));
+
+        const cursor = reader.getCursor();
+        while (true) {
+            let record;
+            try {
+                record = await cursor.next();
+            } catch (error) {
+                throw error instanceof Error ? error : new Error(`Invalid Parquet file ${filePath}: ${error}`);
+            }
+            if (!record) break;
+
+            yield Object.fromEntries(fields.map(({ name, originalType }) => {
+                const value = record[name];
+                if (value === undefined || value === null) return [name, ''];
+                if (value instanceof Date) {
+                    return [name, originalType === 'DATE' ? value.toISOString().split('T')[0] : value.toISOString()];
+                }
+                return [name, value];
+            }));
+        }
+    } finally {
+        await reader.close();
+    }
+}
+
+/**
+ * Read the rows of an Arrow IPC file or stream, batch by batch. 64-bit integers come back as
+ * numbers, dates and timestamps as ISO strings and nulls as empty values.
+ */
+async function* readArrowRows(filePath, onHeaders) {
+    const handle = await fs.promises.open(filePath);
+    try {
+        const reader = await RecordBatchReader.from(handle);
+        await reader.open();
+        const fields = reader.schema.fields;
+        onHeaders(fields.map(field => field.name));
+
+        const toValue = (value, type) => {
+            if (value === undefined || value === null) return '';
+            if (typeof value === 'bigint') return Number(value);
+            if (DataType.isDate(type)) return new Date(value).toISOString().slice(0, 10);
+            if (DataType.isTimestamp(type)) return new Date(value).toISOString();
+            return value;
+        };
+
+        for await (const batch of reader) {
+            const columns = fields.map((field, index) => batch.getChildAt(index));
+            for (let row = 0; row < batch.numRows; row++) {
+                yield Object.fromEntries(fields.map((field, index) => [field.name, toValue(columns[index].get(row), field.type)]));
+            }
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Read the rows of an XLSX workbook, sheet after sheet; every sheet starts with the header row.
+ * Dates come back as ISO strings (just the date when there is no time of day).
+ */
+async function* readXLSXRows(filePath, onHeaders) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+        worksheets: 'emit',
+        sharedStrings: 'cache',
+        styles: 'cache',
+        hyperlinks: 'ignore',
+        entries: 'ignore'
+    });
+
+    const toValue = (value) => {
+        if (value === undefined || value === null) return '';
+        if (value instanceof Date) {
+            const iso = value.toISOString();
+            return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+        }
+        // Rich text and formula cells
+        if (typeof value === 'object') return value.text ?? value.result ?? '';
+        return value;
+    };
+
+    let headers = null;
+    for await (const worksheet of workbook) {
+        let sheetHeaders = null;
+        for await (const row of worksheet) {
+            // row.values is 1-based
+            const values = row.values.slice(1).map(toValue);
+            if (!sheetHeaders) {
+                sheetHeaders = values.map(String);
+                if (!headers) {
+                    headers = sheetHeaders;
+                    onHeaders(headers);
+                }
+                continue;
+            }
+            yield Object.fromEntries(sheetHeaders.map((header, index) => [header, values[index] ?? '']));
+        }
+    }
+}
+
+/**
+ * Stream the rows of a split part as objects, whatever format it was written in. The part's
+ * headers are passed to onHeaders before the first row: the header line for CSV/TSV/XLSX, the
+ * schema for Parquet and Arrow and the first row's keys for JSON and XML (which have none when the part is empty).
+ */
+export async function* readPartRows(filePath, format = detectPartFormat(filePath), { onHeaders = () => {} } = {}) {
+    switch (format) {
+        case 'csv': {
+            const input = fs.createReadStream(filePath);
+            const rows = input.pipe(createCSVStream(DEFAULT_DIALECT));
+            input.on('error', (error) => rows.destroy(error));
+            rows.on('headers', onHeaders);
+            try {
+                yield* rows;
+            } finally {
+                input.destroy();
+            }
+            return;
+        }
+        case 'tsv': {
+            // Reverse the TSV formatter's escaping of backslashes, tabs and line breaks in one pass (headers included)
+            const unescape = (value) => value.replace(/\\([\\tnr])/g, (match, char) => ({ '\\': '\\', t: '\t', n: '\n', r: '\r' })[char]);
+            let headers = null;
+            for await (const line of readLines(filePath)) {
+                if (!headers) {
+                    headers = line.replace(/^\uFEFF/, '').split('\t').map(unescape);
+                    onHeaders(headers);
+                } else if (line) {
+                    const values = line.split('\t').map(unescape);
+                    yield Object.fromEntries(headers.map((header, index) => [header, values[index] ?? '']));
+                }
+            }
+            return;
+        }
+        case 'parquet': {
+            yield* readParquetRows(filePath, onHeaders);
+            return;
+        }
+        case 'xlsx': {
+            yield* readXLSXRows(filePath, onHeaders);
+            return;
+        }
+        case 'arrow': {
+            yield* readArrowRows(filePath, onHeaders);
+            return;
+        }
+        case 'json':
+        case 'jsonl':
+        case 'xml': {
+            let rows;
+            if (format === 'xml') {
+                rows = readXMLRows(filePath);
+            } else if (format === 'json' && await readFirstCharacter(filePath) === '[') {
+                rows = readJSONArray(filePath);
+            } else {
+                rows = (async function* () {
+                    for await (const line of readLines(filePath)) {
+                        if (line.trim()) yield JSON.parse(line);
+                    }
+                })();
+            }
+
+            let first = true;
+            for await (const nestedRow of rows) {
+                const row = format === 'xml' ? nestedRow : flattenNestedKeys(nestedRow);
+                if (first) {
+                    onHeaders(Object.keys(row));
+                    first = false;
+                }
+                yield row;
+            }
+            return;
+        }
+        default:
+            throw new Error(`Unsupported part format: ${filePath}`);
+    }
+}
+
+/**
+ * Headers of a split part, read from its first record (null for an empty JSON or XML part)
+ */
+export async function readPartHeaders(filePath, format = detectPartFormat(filePath)) {
+    let headers = null;
+    for await (const row of readPartRows(filePath, format, { onHeaders: (partHeaders) => { headers = partHeaders; } })) {
+        break;
+    }
+    return headers;
+}
+
+export default {
+    detectPartFormat,
+    readPartRows,
+    readPartHeaders
+};
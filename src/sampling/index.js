@@ -0,0 +1,225 @@
+import { fnv1a } from '../writers/index.js';
+
+/**
+ * Seeded pseudo-random number generator (mulberry32) returning floats in [0, 1).
+ * Integer seeds (42 or "42") are used directly; any other string is hashed.
+ */
+export function createRandom(seed) {
+    const numeric = typeof seed === 'number' || /^\d+$/.test(String(seed));
+    let state = (numeric ? Number(seed) : fnv1a(String(seed))) >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * A random 32-bit seed, for runs where the user did not pick one
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Parse ratios such as "train=0.8,test=0.1,val=0.1" (or an object) into normalized weights.
+ * Weights need not add up to 1: "train=8,test=1,val=1" is the same split.
+ */
+export function parseRatios(ratios) {
+    const entries = typeof ratios === 'string'
+        ? ratios.split(',').filter(pair => pair.trim()).map(pair => {
+            const [name, value] = pair.split('=').map(part => part && part.trim());
+            return [name, value === undefined ? NaN : Number(value)];
+        })
+        : Object.entries(ratios || {}).map(([name, value]) => [name, Number(value)]);
+
+    if (entries.length < 2) {
+        throw new Error('Sample split needs at least two named sets, e.g. train=0.8,test=0.2');
+    }
+
+    for (const [name, value] of entries) {
+        if (!name || !/^[A-Za-z0-9_-]+$/.test(name)) {
+            throw new Error(`Invalid sample set name: ${name} (use letters, digits, _ and -)`);
+        }
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new Error(`Invalid ratio for ${name}: ${value}`);
+        }
+    }
+
+    const names = entries.map(([name]) => name);
+    if (new Set(names).size !== names.length) {
+        throw new Error('Sample set names must be unique');
+    }
+
+    const total = entries.reduce((sum, [, value]) => sum + value, 0);
+    return entries.map(([name, value]) => ({ name, ratio: value / total }));
+}
+
+/**
+ * Deal set names out of shuffled blocks (block randomization): each block holds every set in
+ * proportion to its ratio, so the split is exact at each block boundary and random within blocks
+ */
+export class BlockAllocator {
+    constructor(sets, random, maxBlockSize = 100) {
+        this.random = random;
+        this.block = BlockAllocator.buildBlock(sets, maxBlockSize);
+        this.position = this.block.length;
+    }
+
+    /**
+     * Smallest block in which every ratio is a whole number of rows, or maxBlockSize rows
+     * apportioned by largest remainder
+     */
+    static buildBlock(sets, maxBlockSize) {
+        let size = 1;
+        while (size < maxBlockSize && !sets.every(({ ratio }) => Math.abs(ratio * size - Math.round(ratio * size)) < 1e-9)) {
+            size++;
+        }
+
+        const counts = sets.map(({ ratio }) => Math.floor(ratio * size + 1e-9));
+        const byRemainder = sets
+            .map(({ ratio }, index) => ({ index, remainder: ratio * size - counts[index] }))
+            .sort((a, b) => b.remainder - a.remainder);
+        let missing = size - counts.reduce((sum, count) => sum + count, 0);
+        for (const { index } of byRemainder) {
+            if (missing-- <= 0) break;
+            counts[index]++;
+        }
+
+        return sets.flatMap(({ name }, index) => Array(counts[index]).fill(name));
+    }
+
+    next() {
+        if (this.position >= this.block.length) {
+            // Fisher-Yates shuffle of the next block
+            for (let i = this.block.length - 1; i > 0; i--) {
+                const j = Math.floor(this.random() * (i + 1));
+                [this.block[i], this.block[j]] = [this.block[j], this.block[i]];
+            }
+            this.position = 0;
+        }
+        return this.block[this.position++];
+    }
+}
+
+/**
+ * Partitioner that sends each row to a named set (train/test/val ...) by seeded block
+ * randomization. With stratifyBy, every label value gets its own allocator seeded from the seed
+ * and the label, so each class is split in the same proportions independently of the others.
+ * Rows must be presented in input order for a run to be reproducible.
+ */
+export class SampleSplitPartitioner {
+    constructor(options = {}) {
+        this.sets = parseRatios(options.ratios);
+        this.seed = options.seed !== undefined && options.seed !== null ? options.seed : randomSeed();
+        this.stratifyBy = options.stratifyBy || null;
+        this.columns = this.stratifyBy ? [this.stratifyBy] : [];
+        this.allocators = new Map();
+    }
+
+    getAllocator(label) {
+        let allocator = this.allocators.get(label);
+        if (!allocator) {
+            const random = createRandom(this.stratifyBy ? `${this.seed}\u0001${label}` : this.seed);
+            allocator = new BlockAllocator(this.sets, random);
+            this.allocators.set(label, allocator);
+        }
+        return allocator;
+    }
+
+    getPath(row) {
+        const label = this.stratifyBy ? String(row[this.stratifyBy] ?? '') : '';
+        return this.getAllocator(label).next();
+    }
+}
+
+/**
+ * Uniform sample of exactly `size` items (or all of them, if there are fewer) from a stream of
+ * unknown length in one pass (reservoir sampling, Algorithm R). The sample keeps input order.
+ */
+export class ReservoirSampler {
+    constructor(size, random) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error(`Invalid sample size: ${size}`);
+        }
+        this.size = size;
+        this.random = random;
+        this.seen = 0;
+        this.reservoir = [];
+    }
+
+    add(item) {
+        if (this.reservoir.length < this.size) {
+            this.reservoir.push({ index: this.seen, item });
+        } else {
+            const slot = Math.floor(this.random() * (this.seen + 1));
+            if (slot < this.size) {
+                this.reservoir[slot] = { index: this.seen, item };
+            }
+        }
+        this.seen++;
+    }
+
+    getSample() {
+        return [...this.reservoir].sort((a, b) => a.index - b.index).map(({ item }) => item);
+    }
+}
+
+/**
+ * Reservoir sample of `size` rows per value of a column. Each stratum is sampled with its own
+ * generator, seeded from the seed and the value, so strata do not influence each other.
+ * The combined sample keeps input order.
+ */
+export class StratifiedSampler {
+    constructor(size, column, seed) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error(`Invalid sample size: ${size}`);
+        }
+        this.size = size;
+        this.column = column;
+        this.seed = seed;
+        this.seen = 0;
+        this.strata = new Map();
+    }
+
+    add(row) {
+        const label = String(row[this.column] ?? '');
+        let sampler = this.strata.get(label);
+        if (!sampler) {
+            sampler = new ReservoirSampler(this.size, createRandom(`${this.seed}\u0001${label}`));
+            this.strata.set(label, sampler);
+        }
+        // Remember each row's overall position so strata can be merged back into input order
+        sampler.add({ index: this.seen++, row });
+    }
+
+    getSample() {
+        return [...this.strata.values()]
+            .flatMap(sampler => sampler.getSample())
+            .sort((a, b) => a.index - b.index)
+            .map(({ row }) => row);
+    }
+
+    /**
+     * Rows seen and sampled per stratum value
+     */
+    getStrata() {
+        return [...this.strata.entries()].map(([value, sampler]) => ({
+            value,
+            seen: sampler.seen,
+            sampled: sampler.reservoir.length
+        }));
+    }
+}
+
+export default {
+    createRandom,
+    randomSeed,
+    parseRatios,
+    BlockAllocator,
+    SampleSplitPartitioner,
+    ReservoirSampler,
+    StratifiedSampler
+};
@@ -79,10 +79,10 @@ export class DataTypeConverter {
                             result[column] = this.parseBoolean(result[column]);
                             break;
                         case 'date':
-                            result[column] = new Date(result[column]).toISOString().split('T')[0];
+                            result[column] = DataTypeConverter.toDate(result[column]).toISOString().split('T')[0];
                             break;
                         case 'datetime':
-                            result[column] = new Date(result[column]).toISOString();
+                            result[column] = DataTypeConverter.toDate(result[column]).toISOString();
                             break;
                         case 'uppercase':
                             result[column] = String(result[column]).toUpperCase();
@@ -111,6 +111,22 @@ export class DataTypeConverter {
         const str = String(value).toLowerCase().trim();
         return ['true', '1', 'yes', 'y', 'on'].includes(str);
     }
+
+    /**
+     * Parse a value the way the date/datetime conversions do; unparseable values give an invalid Date
+     */
+    static toDate(value) {
+        return value instanceof Date ? value : new Date(value);
+    }
+
+    /**
+     * Parse a date/datetime value, returning null when it is empty or cannot be parsed
+     */
+    static parseDate(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const date = DataTypeConverter.toDate(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
 }
 
 /**
@@ -282,6 +298,42 @@ export class Aggregator {
         return row; // Pass through the row unchanged
     }
 
+    /**
+     * Snapshot of the collected statistics, e.g. to send from a worker thread
+     */
+    getState() {
+        return {
+            rowCount: this.rowCount,
+            stats: this.stats
+        };
+    }
+
+    /**
+     * Fold in statistics that another aggregator collected over different rows
+     */
+    merge(state) {
+        this.rowCount += state.rowCount;
+
+        Object.entries(state.stats).forEach(([column, other]) => {
+            const stat = this.stats[column];
+            if (!stat) {
+                this.stats[column] = other;
+                return;
+            }
+
+            stat.count += other.count;
+            stat.nullCount += other.nullCount;
+            other.uniqueValues.forEach(value => stat.uniqueValues.add(value));
+            for (const value of other.numericValues) {
+                stat.numericValues.push(value);
+            }
+            stat.minLength = Math.min(stat.minLength, other.minLength);
+            stat.maxLength = Math.max(stat.maxLength, other.maxLength);
+        });
+
+        return this;
+    }
+
     getStatistics() {
         const result = {
             totalRows: this.rowCount,
@@ -374,6 +426,49 @@ export class TransformationPipeline {
     getStatistics() {
         return this.aggregator ? this.aggregator.getStatistics() : null;
     }
+
+    /**
+     * Merge partial statistics, e.g. from a worker thread, into this pipeline's aggregator
+     */
+    mergeStatistics(state) {
+        if (this.aggregator && state) {
+            this.aggregator.merge(state);
+        }
+        return this;
+    }
+}
+
+/**
+ * Factory function to build a pipeline from a transformations config
+ * (includeColumns/excludeColumns, typeConversions, validation)
+ */
+export function createTransformationPipeline(transformations, options = {}) {
+    const pipeline = new TransformationPipeline();
+
+    // Add column filter
+    if (transformations.includeColumns || transformations.excludeColumns) {
+        pipeline.addTransformer(new ColumnFilter(
+            transformations.includeColumns || [],
+            transformations.excludeColumns || []
+        ));
+    }
+
+    // Add data type converter
+    if (transformations.typeConversions) {
+        pipeline.addTransformer(new DataTypeConverter(transformations.typeConversions));
+    }
+
+    // Add validator
+    if (transformations.validation) {
+        pipeline.addTransformer(new DataValidator(transformations.validation));
+    }
+
+    // Enable aggregation if stats are requested
+    if (options.generateStats) {
+        pipeline.enableAggregation();
+    }
+
+    return pipeline;
 }
 
 export default {
@@ -382,5 +477,6 @@ export default {
     DataValidator,
     CustomTransformer,
     Aggregator,
-    TransformationPipeline
+    TransformationPipeline,
+    createTransformationPipeline
 };
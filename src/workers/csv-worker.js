@@ -1,281 +1,489 @@
-import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
-import fs from 'fs';
-import csv from 'csv-parser';
-import path from 'path';
+import { Worker, isMainThread, parentPort } from 'worker_threads';
+import { createInputStream, createCSVStream } from '../readers/index.js';
+import { createTransformationPipeline } from '../transformers/index.js';
 
 /**
  * CSV Worker for multi-threaded processing
  * This worker handles processing chunks of CSV data in parallel
  */
 
+// Rough per-worker footprint (isolate, read stream, parser buffers) used when budgeting memory
+const WORKER_MEMORY_MB = 16;
+const DEFAULT_BATCH_ROWS = 1000;
+const DEFAULT_BATCH_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Estimate the in-memory size of a parsed row (strings are UTF-16)
+ */
+function estimateRowBytes(row) {
+    let bytes = 64;
+    for (const key in row) {
+        const value = row[key];
+        bytes += key.length * 2 + (typeof value === 'string' ? value.length * 2 : 16);
+    }
+    return bytes;
+}
+
 if (!isMainThread) {
-    // Worker thread code
-    const { 
-        inputFilePath, 
-        outputDirectory, 
-        startByte, 
-        endByte, 
-        chunkIndex, 
-        headers,
-        maxRowsPerFile,
-        outputFormat,
-        transformations
-    } = workerData;
-
-    async function processChunk() {
+    // Worker thread code: a long-lived loop that processes one chunk job at a time
+
+    // The main thread acknowledges each batch once it has room for more
+    let pendingAck = null;
+
+    async function processChunk(job) {
+        const {
+            jobId,
+            inputFilePath,
+            startByte,
+            endByte,
+            chunkIndex,
+            headers,
+            transformations,
+            generateStats,
+            countOnly = false,
+            dialect,
+            newline,
+            batchRows = DEFAULT_BATCH_ROWS,
+            batchBytes = DEFAULT_BATCH_BYTES,
+            skipRows = 0
+        } = job;
+
         try {
             const results = {
                 chunkIndex,
+                rowsRead: 0,
                 rowsProcessed: 0,
-                filesCreated: [],
                 errors: []
             };
 
+            // Use the same transformations as single-threaded processing
+            const pipeline = transformations || generateStats
+                ? createTransformationPipeline(transformations || {}, { generateStats })
+                : null;
+
             // Create a read stream for the specific byte range
-            const readStream = fs.createReadStream(inputFilePath, {
+            const readStream = createInputStream(inputFilePath, dialect, {
                 start: startByte,
-                end: endByte,
-                encoding: 'utf8'
+                end: endByte
             });
 
-            let buffer = '';
-            let currentFileIndex = 1;
-            let currentRowCount = 0;
-            let currentOutputStream = null;
-            let isFirstChunk = startByte === 0;
+            let lineNumber = 0;
+            let batch = [];
+            // Line number within the chunk of every row in the batch, for source row numbers
+            let batchLines = [];
+            let currentBatchBytes = 0;
+
+            // Hand the current batch to the main thread and pause until it is acknowledged
+            async function sendBatch() {
+                if (batch.length === 0) return;
+
+                const acknowledged = new Promise(resolve => { pendingAck = resolve; });
+                parentPort.postMessage({ type: 'batch', jobId, chunkIndex, rows: batch, lines: batchLines, bytes: currentBatchBytes });
+                batch = [];
+                batchLines = [];
+                currentBatchBytes = 0;
+                await acknowledged;
+            }
 
-            // Helper function to create new output file
-            function createNewOutputStream() {
-                if (currentOutputStream) {
-                    currentOutputStream.end();
-                }
+            // Chunks start on record boundaries after the header line, so headers are supplied up front
+            const csvStream = readStream.pipe(createCSVStream(dialect, {
+                headers,
+                ...(newline === '\r' ? { newline } : {})
+            }));
+            readStream.on('error', (error) => csvStream.destroy(error));
 
-                const timestamp = new Date().toISOString().split('T')[0];
-                const outputFileName = `split_part_${chunkIndex}_${currentFileIndex}_${timestamp}.csv`;
-                const outputFilePath = path.join(outputDirectory, outputFileName);
+            // Rows are parsed incrementally; awaiting an ack stops reading, which bounds memory
+            for await (const row of csvStream) {
+                lineNumber++;
 
-                currentOutputStream = fs.createWriteStream(outputFilePath, { encoding: 'utf8' });
-                
-                // Write headers if it's CSV format
-                if (outputFormat === 'csv' && headers.length > 0) {
-                    currentOutputStream.write(headers.join(',') + '\n');
-                }
+                try {
+                    // Apply transformations
+                    const transformedRow = pipeline ? pipeline.transform(row, headers) : row;
+                    if (!transformedRow) continue; // Skip invalid rows
 
-                results.filesCreated.push(outputFileName);
-                currentRowCount = 0;
-                currentFileIndex++;
-            }
+                    results.rowsProcessed++;
 
-            // Helper function to escape CSV values
-            function escapeCSVValue(value) {
-                if (value === null || value === undefined) return '';
-                const str = String(value);
-                if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
-                    return `"${str.replace(/"/g, '""')}"`;
-                }
-                return str;
-            }
+                    // A counting pass only reports how many rows the chunk produces
+                    if (countOnly) continue;
 
-            // Helper function to apply transformations
-            function applyTransformations(row) {
-                let transformedRow = { ...row };
-                
-                if (transformations) {
-                    // Apply column filtering
-                    if (transformations.includeColumns) {
-                        const filtered = {};
-                        transformations.includeColumns.forEach(col => {
-                            if (transformedRow[col] !== undefined) {
-                                filtered[col] = transformedRow[col];
-                            }
-                        });
-                        transformedRow = filtered;
-                    }
+                    // A retried chunk resumes after the rows an earlier attempt already delivered
+                    if (results.rowsProcessed <= skipRows) continue;
 
-                    // Apply data type conversions
-                    if (transformations.typeConversions) {
-                        Object.entries(transformations.typeConversions).forEach(([column, type]) => {
-                            if (transformedRow[column] !== undefined) {
-                                switch (type) {
-                                    case 'number':
-                                        transformedRow[column] = Number(transformedRow[column]) || 0;
-                                        break;
-                                    case 'boolean':
-                                        transformedRow[column] = Boolean(transformedRow[column]);
-                                        break;
-                                    case 'date':
-                                        transformedRow[column] = new Date(transformedRow[column]).toISOString();
-                                        break;
-                                    case 'uppercase':
-                                        transformedRow[column] = String(transformedRow[column]).toUpperCase();
-                                        break;
-                                    case 'lowercase':
-                                        transformedRow[column] = String(transformedRow[column]).toLowerCase();
-                                        break;
-                                }
-                            }
-                        });
-                    }
+                    // Rows go back to the main thread, which writes every part in input order
+                    batch.push(transformedRow);
+                    batchLines.push(lineNumber);
+                    currentBatchBytes += estimateRowBytes(transformedRow);
 
-                    // Apply custom validation
-                    if (transformations.validation) {
-                        // Skip rows that don't meet validation criteria
-                        for (const [column, rule] of Object.entries(transformations.validation)) {
-                            const value = transformedRow[column];
-                            if (rule.required && (!value || value.toString().trim() === '')) {
-                                return null; // Skip this row
-                            }
-                            if (rule.minLength && value && value.toString().length < rule.minLength) {
-                                return null; // Skip this row
-                            }
-                            if (rule.pattern && value && !new RegExp(rule.pattern).test(value.toString())) {
-                                return null; // Skip this row
-                            }
-                        }
-                    }
+                } catch (error) {
+                    results.errors.push(`Error processing line ${lineNumber}: ${error.message}`);
                 }
 
-                return transformedRow;
+                if (batch.length >= batchRows || currentBatchBytes >= batchBytes) {
+                    await sendBatch();
+                }
             }
 
-            // Process the chunk
-            return new Promise((resolve, reject) => {
-                readStream.on('data', (chunk) => {
-                    buffer += chunk;
-                });
+            await sendBatch();
+            results.rowsRead = lineNumber;
 
-                readStream.on('end', () => {
-                    // Process the buffered data
-                    const lines = buffer.split('\n');
-                    
-                    // Skip header if not first chunk
-                    const startIndex = isFirstChunk ? 1 : 0;
-                    
-                    createNewOutputStream();
-
-                    for (let i = startIndex; i < lines.length; i++) {
-                        const line = lines[i].trim();
-                        if (!line) continue;
-
-                        try {
-                            // Parse CSV line manually (simple approach)
-                            const values = line.split(',').map(val => val.replace(/^"|"$/g, ''));
-                            const row = {};
-                            headers.forEach((header, index) => {
-                                row[header] = values[index] || '';
-                            });
-
-                            // Apply transformations
-                            const transformedRow = applyTransformations(row);
-                            if (!transformedRow) continue; // Skip invalid rows
-
-                            // Write to output based on format
-                            if (outputFormat === 'csv') {
-                                const rowValues = headers.map(header => escapeCSVValue(transformedRow[header] || ''));
-                                currentOutputStream.write(rowValues.join(',') + '\n');
-                            } else if (outputFormat === 'json') {
-                                currentOutputStream.write(JSON.stringify(transformedRow) + '\n');
-                            }
-
-                            currentRowCount++;
-                            results.rowsProcessed++;
-
-                            // Create new file if current file is full
-                            if (currentRowCount >= maxRowsPerFile) {
-                                createNewOutputStream();
-                            }
-
-                        } catch (error) {
-                            results.errors.push(`Error processing line ${i}: ${error.message}`);
-                        }
-                    }
+            // Partial statistics for this chunk, merged on the main thread
+            if (pipeline && pipeline.aggregator) {
+                results.statistics = pipeline.aggregator.getState();
+            }
 
-                    if (currentOutputStream) {
-                        currentOutputStream.end();
-                    }
+            return results;
+
+        } catch (error) {
+            throw new Error(`Worker ${chunkIndex} failed: ${error.message}`);
+        }
+    }
 
-                    resolve(results);
+    parentPort.on('message', (message) => {
+        if (message.type === 'ack' && pendingAck) {
+            const resolve = pendingAck;
+            pendingAck = null;
+            resolve();
+        } else if (message.type === 'job') {
+            processChunk(message.job)
+                .then(results => {
+                    parentPort.postMessage({ type: 'done', jobId: message.job.jobId, results });
+                })
+                .catch(error => {
+                    parentPort.postMessage({ type: 'failed', jobId: message.job.jobId, error: error.message });
                 });
+        } else if (message.type === 'shutdown') {
+            // Closing the port lets the thread exit once it is idle
+            parentPort.close();
+        }
+    });
+}
 
-                readStream.on('error', reject);
-            });
+/**
+ * Reassembles row batches from parallel workers into input order.
+ * Batches for the chunk currently being written go straight to writeRows; batches for later
+ * chunks are buffered up to maxBufferedBytes, beyond which their workers are left waiting for an ack.
+ * The first error from writeRows is passed to onError as soon as it happens, so the caller can stop
+ * the workers instead of letting them parse the rest of the input.
+ */
+export class OrderedBatchWriter {
+    constructor(writeRows, options = {}) {
+        this.writeRows = writeRows;
+        this.maxBufferedBytes = options.maxBufferedBytes || Infinity;
+        this.onError = options.onError || null;
+        this.nextChunkIndex = 0;
+        this.chunks = new Map();
+        this.bufferedBytes = 0;
+        this.writing = Promise.resolve();
+        this.error = null;
+    }
 
-        } catch (error) {
-            throw new Error(`Worker ${chunkIndex} failed: ${error.message}`);
+    getChunk(chunkIndex) {
+        if (!this.chunks.has(chunkIndex)) {
+            this.chunks.set(chunkIndex, { batches: [], done: false });
         }
+        return this.chunks.get(chunkIndex);
     }
 
-    // Execute the chunk processing
-    processChunk()
-        .then(results => {
-            parentPort.postMessage({ success: true, results });
-        })
-        .catch(error => {
-            parentPort.postMessage({ success: false, error: error.message });
+    /**
+     * Queue a batch; the returned promise resolves when the worker may send the next one.
+     * lines (the rows' line numbers within the chunk) are passed on to writeRows with the batch.
+     */
+    addBatch(chunkIndex, rows, bytes = 0, lines = null) {
+        return new Promise((resolve) => {
+            // Once writing has failed, keep workers moving so they can be shut down
+            if (this.error) return resolve();
+
+            const entry = { rows, bytes, lines, ack: resolve };
+            this.getChunk(chunkIndex).batches.push(entry);
+            this.bufferedBytes += bytes;
+
+            // Out-of-order batches are acknowledged straight away while they fit in the buffer
+            if (chunkIndex !== this.nextChunkIndex && this.bufferedBytes <= this.maxBufferedBytes) {
+                entry.ack = null;
+                resolve();
+            }
+
+            this.flush();
         });
+    }
+
+    completeChunk(chunkIndex) {
+        this.getChunk(chunkIndex).done = true;
+        this.flush();
+    }
+
+    flush() {
+        this.writing = this.writing
+            .then(() => this.writeReadyBatches())
+            .catch((error) => {
+                this.error = error;
+                this.releaseWaiting(true);
+                if (this.onError) this.onError(error);
+            });
+        return this.writing;
+    }
+
+    async writeReadyBatches() {
+        if (this.error) return;
+
+        while (this.chunks.has(this.nextChunkIndex)) {
+            const chunk = this.chunks.get(this.nextChunkIndex);
+
+            if (chunk.batches.length > 0) {
+                const entry = chunk.batches.shift();
+                try {
+                    await this.writeRows(entry.rows, this.nextChunkIndex, entry.lines);
+                } finally {
+                    // A batch that failed to write is acknowledged too, so its worker is not left waiting
+                    this.bufferedBytes -= entry.bytes;
+                    if (entry.ack) entry.ack();
+                }
+                this.releaseWaiting();
+            } else if (chunk.done) {
+                this.chunks.delete(this.nextChunkIndex);
+                this.nextChunkIndex++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Acknowledge buffered batches whose workers were held back, as far as the budget allows
+     */
+    releaseWaiting(force = false) {
+        for (const chunk of this.chunks.values()) {
+            for (const entry of chunk.batches) {
+                if (!force && this.bufferedBytes > this.maxBufferedBytes) return;
+                if (entry.ack) {
+                    entry.ack();
+                    entry.ack = null;
+                }
+            }
+        }
+    }
+
+    async finish() {
+        await this.flush();
+        if (this.error) {
+            throw this.error;
+        }
+    }
 }
 
+/**
+ * Persistent pool of worker threads.
+ * A fixed number of long-lived workers pull chunk jobs from an ordered queue. A job whose worker
+ * crashes is retried on a replacement worker, resuming after the rows that were already delivered.
+ */
 export class WorkerPool {
-    constructor(maxWorkers = 4) {
+    constructor(maxWorkers = 4, options = {}) {
+        this.maxMemoryMB = options.maxMemoryMB || null;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 2;
+        this.workerScript = options.workerScript || new URL(import.meta.url);
         this.maxWorkers = maxWorkers;
         this.workers = [];
-        this.activeJobs = 0;
+        this.queue = [];
+        this.run = null;
+
+        // Half of the memory budget goes to running workers, the other half to out-of-order batches
+        this.maxBufferedBytes = Infinity;
+        this.batchBytes = DEFAULT_BATCH_BYTES;
+        if (this.maxMemoryMB) {
+            const workerBudgetMB = this.maxMemoryMB / 2;
+            this.maxWorkers = Math.max(1, Math.min(maxWorkers, Math.floor(workerBudgetMB / WORKER_MEMORY_MB)));
+            this.maxBufferedBytes = (this.maxMemoryMB / 2) * 1024 * 1024;
+            this.batchBytes = Math.max(64 * 1024, Math.min(DEFAULT_BATCH_BYTES, this.maxBufferedBytes / (this.maxWorkers * 4)));
+        }
     }
 
-    async processChunks(chunks, workerData) {
-        const results = [];
-        const promises = [];
+    spawnWorker() {
+        const slot = { worker: new Worker(this.workerScript), job: null };
 
-        for (let i = 0; i < chunks.length; i++) {
-            const chunk = chunks[i];
-            const promise = this.runWorker({
-                ...workerData,
-                ...chunk,
-                chunkIndex: i
-            });
-            promises.push(promise);
+        slot.worker.on('message', (message) => this.handleMessage(slot, message));
+        slot.worker.on('error', (error) => this.handleCrash(slot, error));
+        slot.worker.on('exit', (code) => {
+            this.workers = this.workers.filter(other => other !== slot);
+            this.handleCrash(slot, new Error(`Worker stopped with exit code ${code}`));
+        });
 
-            // Limit concurrent workers
-            if (promises.length >= this.maxWorkers) {
-                const completed = await Promise.race(promises);
-                results.push(completed);
-                promises.splice(promises.findIndex(p => p === completed), 1);
-            }
+        this.workers.push(slot);
+        return slot;
+    }
+
+    /**
+     * Process every chunk, resolving with the per-chunk results in chunk order
+     */
+    processChunks(chunks, workerData, handlers = {}) {
+        if (this.run) {
+            return Promise.reject(new Error('Worker pool is already processing chunks'));
         }
 
-        // Wait for remaining workers to complete
-        const remaining = await Promise.all(promises);
-        results.push(...remaining);
+        return new Promise((resolve, reject) => {
+            this.run = {
+                handlers,
+                results: new Array(chunks.length),
+                remaining: chunks.length,
+                resolve,
+                reject
+            };
+
+            this.queue = chunks.map((chunk, index) => ({
+                chunkIndex: index,
+                data: {
+                    ...workerData,
+                    ...chunk,
+                    batchBytes: this.batchBytes,
+                    chunkIndex: index
+                },
+                attempts: 0,
+                rowsDelivered: 0
+            }));
+
+            if (chunks.length === 0) {
+                this.finishRun();
+                return;
+            }
 
-        return results;
+            this.dispatch();
+        });
     }
 
-    runWorker(data) {
-        return new Promise((resolve, reject) => {
-            const worker = new Worker(new URL(import.meta.url), {
-                workerData: data
-            });
+    /**
+     * Hand queued jobs to idle workers, starting workers up to the pool size as needed
+     */
+    dispatch() {
+        if (!this.run) return;
 
-            worker.on('message', (message) => {
-                if (message.success) {
-                    resolve(message.results);
-                } else {
-                    reject(new Error(message.error));
-                }
-                worker.terminate();
-            });
+        while (this.workers.length < this.maxWorkers && this.workers.filter(slot => !slot.job).length < this.queue.length) {
+            this.spawnWorker();
+        }
 
-            worker.on('error', reject);
-            worker.on('exit', (code) => {
-                if (code !== 0) {
-                    reject(new Error(`Worker stopped with exit code ${code}`));
+        for (const slot of this.workers) {
+            if (slot.job || this.queue.length === 0) continue;
+
+            const job = this.queue.shift();
+            job.attempts++;
+            slot.job = job;
+            slot.worker.postMessage({
+                type: 'job',
+                job: {
+                    ...job.data,
+                    jobId: `${job.chunkIndex}:${job.attempts}`,
+                    skipRows: job.rowsDelivered
                 }
             });
+        }
+    }
+
+    handleMessage(slot, message) {
+        const job = slot.job;
+        const run = this.run;
+        if (!job || !run || message.jobId !== `${job.chunkIndex}:${job.attempts}`) return;
+
+        if (message.type === 'batch') {
+            job.rowsDelivered += message.rows.length;
+
+            // Acknowledge once the batch has been written or buffered
+            Promise.resolve(run.handlers.onBatch && run.handlers.onBatch(job.chunkIndex, message.rows, message.bytes, message.lines))
+                .then(() => {
+                    if (slot.job === job) {
+                        slot.worker.postMessage({ type: 'ack' });
+                    }
+                }, (error) => this.fail(error));
+        } else if (message.type === 'done') {
+            slot.job = null;
+            run.results[job.chunkIndex] = message.results;
+            if (run.handlers.onChunkComplete) {
+                run.handlers.onChunkComplete(message.results);
+            }
+
+            run.remaining--;
+            if (run.remaining === 0) {
+                this.finishRun();
+            } else {
+                this.dispatch();
+            }
+        } else if (message.type === 'failed') {
+            slot.job = null;
+            this.fail(new Error(`Chunk ${job.chunkIndex} failed: ${message.error}`));
+        }
+    }
+
+    handleCrash(slot, error) {
+        const job = slot.job;
+        if (!job) return;
+
+        slot.job = null;
+        slot.worker.terminate();
+        this.workers = this.workers.filter(other => other !== slot);
+
+        if (!this.run) return;
+
+        if (job.attempts > this.maxRetries) {
+            this.fail(new Error(`Chunk ${job.chunkIndex} failed after ${job.attempts} attempts: ${error.message}`));
+            return;
+        }
+
+        if (this.run.handlers.onRetry) {
+            this.run.handlers.onRetry(job.chunkIndex, job.attempts, error);
+        }
+
+        // Keep the queue in chunk order so the chunk being written is always picked up first
+        const position = this.queue.findIndex(queued => queued.chunkIndex > job.chunkIndex);
+        this.queue.splice(position === -1 ? this.queue.length : position, 0, job);
+        this.dispatch();
+    }
+
+    finishRun() {
+        const run = this.run;
+        this.run = null;
+        run.resolve(run.results);
+    }
+
+    /**
+     * Stop the current run: drop queued jobs, stop busy workers and reject with the given error
+     */
+    fail(error) {
+        const run = this.run;
+        if (!run) return;
+
+        this.run = null;
+        this.queue = [];
+
+        // Busy workers are stopped; idle ones stay in the pool for the next run
+        this.workers = this.workers.filter(slot => {
+            if (!slot.job) return true;
+            slot.job = null;
+            slot.worker.terminate();
+            return false;
         });
+
+        run.reject(error);
+    }
+
+    /**
+     * Cancel all outstanding work
+     */
+    cancel() {
+        this.fail(new Error('Processing cancelled'));
     }
 
+    /**
+     * Shut down every worker, letting idle ones exit cleanly
+     */
     async terminate() {
-        await Promise.all(this.workers.map(worker => worker.terminate()));
+        this.cancel();
+
+        await Promise.all(this.workers.map(slot => new Promise((resolve) => {
+            const timer = setTimeout(() => slot.worker.terminate(), 5000);
+            slot.worker.once('exit', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+            slot.worker.postMessage({ type: 'shutdown' });
+        })));
+
         this.workers = [];
     }
 }
@@ -0,0 +1,648 @@
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import { DataTypeConverter } from '../transformers/index.js';
+
+// Partition values that would be empty directory names (Hive uses the same placeholder)
+export const DEFAULT_PARTITION_VALUE = '__HIVE_DEFAULT_PARTITION__';
+
+// Date partition for rows whose date column is empty or cannot be parsed
+export const INVALID_DATE_PARTITION = '_invalid';
+
+const DATE_GRANULARITIES = ['year', 'month', 'day', 'hour'];
+
+// ISO dates and date-times without a UTC offset (2024-01-05, 2024-01-05 23:30:00, 2024-01-05T23:30)
+const LOCAL_ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?$/;
+// A UTC offset or zone name in a date string (Z, +01:00, GMT+0100, UTC, EST)
+const DATE_ZONE_PATTERN = /(?:\dZ|GMT|UTC|\b[ECMP][SD]T\b|[+-]\d{2}:?\d{2}\s*(?:\([^)]*\))?$)/;
+
+export const DEFAULT_NAME_TEMPLATE = 'split_part_{index}_{date}{ext}';
+
+const NAME_PLACEHOLDERS = ['input', 'index', 'date', 'timestamp', 'partition', 'firstKey', 'lastKey', 'rows', 'ext'];
+const PLACEHOLDER_PATTERN = /\{([^{}:]+)(?::([^{}]*))?\}/g;
+// Placeholders whose value changes from part to part (the others are the same for the whole run)
+const VARYING_PLACEHOLDERS = ['partition', 'firstKey', 'lastKey', 'rows'];
+
+// Parts whose name needs {lastKey} or {rows} are written under a temporary name and renamed when closed
+let temporaryFileCounter = 0;
+
+/**
+ * Percent-encode characters that are not safe in file or directory names
+ */
+function encodeNameValue(value) {
+    return String(value).replace(/[\x00-\x1F"#%'*/:=?\\\x7F{[\]^<>|]/g,
+        char => '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+}
+
+/**
+ * Run-wide name template values: the input file name without extension, and the run's start
+ * as a date (2025-06-02) and a file-name-safe UTC timestamp (20250602T065100Z)
+ */
+export function createNameContext(inputFilePath = '', startTime = Date.now()) {
+    const started = new Date(startTime).toISOString();
+    return {
+        input: encodeNameValue(path.basename(inputFilePath, path.extname(inputFilePath))),
+        date: started.split('T')[0],
+        timestamp: started.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')
+    };
+}
+
+/**
+ * Raised when a part would overwrite another part of the same run. It ends the run instead of
+ * being reported as a row error, since every later row could hit it too.
+ */
+export class PartPathCollisionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PartPathCollisionError';
+    }
+}
+
+/**
+ * Output file name template such as "{input}_{partition}/part-{index:04}{ext}".
+ * Templates are validated up front: unknown placeholders, paths leaving the output directory and
+ * templates that could give two parts the same name are rejected. The latter are templates without
+ * {index}, and templates where {index} runs straight into a value that varies between parts
+ * ("{index}{rows}" renders 1 + "12" and 11 + "2" both as "112").
+ */
+export class NameTemplate {
+    constructor(template = DEFAULT_NAME_TEMPLATE) {
+        this.template = template;
+        this.placeholders = new Set();
+
+        const matches = [...template.matchAll(PLACEHOLDER_PATTERN)];
+        for (const [, name, format] of matches) {
+            if (!NAME_PLACEHOLDERS.includes(name)) {
+                throw new Error(`Unknown placeholder {${name}} in name template (expected ${NAME_PLACEHOLDERS.map(placeholder => `{${placeholder}}`).join(', ')})`);
+            }
+            if (format !== undefined && !(['index', 'rows'].includes(name) && /^0\d+$/.test(format))) {
+                throw new Error(`Invalid format {${name}:${format}} in name template (only {index} and {rows} take a zero-padded width such as :04)`);
+            }
+            this.placeholders.add(name);
+        }
+
+        const literal = template.replace(PLACEHOLDER_PATTERN, '');
+        if (literal.includes('{') || literal.includes('}')) {
+            throw new Error(`Unbalanced braces in name template: ${template}`);
+        }
+        if (!this.placeholders.has('index')) {
+            throw new Error('Name template must include {index} so that no two parts can get the same name');
+        }
+        matches.forEach((match, position) => {
+            if (match[1] !== 'index') return;
+            const before = matches[position - 1];
+            const after = matches[position + 1];
+            const touching = [
+                before && before.index + before[0].length === match.index ? before : null,
+                after && match.index + match[0].length === after.index ? after : null
+            ].find(neighbour => neighbour && VARYING_PLACEHOLDERS.includes(neighbour[1]));
+            if (touching) {
+                throw new Error(`Name template must separate {index} from ${touching[0]} with other characters so that no two parts can get the same name: ${template}`);
+            }
+        });
+        if (path.isAbsolute(template) || template.split(/[\\/]/).includes('..') || /[\\/]$/.test(template)) {
+            throw new Error(`Name template must be a file name or relative path inside the output directory: ${template}`);
+        }
+
+        // {partition} places partitions itself; otherwise names are relative to each partition directory
+        this.usesPartition = this.placeholders.has('partition');
+        this.usesKey = this.placeholders.has('firstKey') || this.placeholders.has('lastKey');
+        this.resolvedAtClose = this.placeholders.has('lastKey') || this.placeholders.has('rows');
+    }
+
+    render(values) {
+        return this.template.replace(PLACEHOLDER_PATTERN, (match, name, format) => {
+            const value = values[name] === undefined || values[name] === null ? '' : String(values[name]);
+            return format ? value.padStart(parseInt(format, 10), '0') : value;
+        });
+    }
+}
+
+/**
+ * Writes one sequence of output parts (split_part_1..N) into a directory.
+ * A part is opened lazily when a row arrives and rolls over when it reaches the row or byte limit.
+ */
+export class PartWriter {
+    constructor(options = {}) {
+        this.directory = options.directory;
+        // Output root and partition path, for name templates that place partitions themselves
+        this.outputDirectory = options.outputDirectory || options.directory;
+        this.partition = options.partition || '';
+        this.nameTemplate = options.nameTemplate || new NameTemplate();
+        // Run-wide placeholder values: { input, date, timestamp }
+        this.nameContext = options.nameContext || createNameContext();
+        // Resolved paths of the parts written so far; share one set between the writers of a run
+        this.partPaths = options.partPaths || new Set();
+        // Columns that make up {firstKey} and {lastKey}
+        this.keyColumns = options.keyColumns || [];
+        this.formatter = options.formatter;
+        this.headers = options.headers || [];
+        this.maxRowsPerFile = options.maxRowsPerFile || Infinity;
+        this.maxBytesPerFile = options.maxBytesPerFile || null;
+        // Optional per-part row limits (part N uses rowLimits[N - 1]); later parts fall back to maxRowsPerFile
+        this.rowLimits = options.rowLimits || null;
+        // Rows sharing these columns' values stay in one part: a full part takes up to
+        // maxGroupOverflow more rows while the key is unchanged
+        this.keepTogether = options.keepTogether && options.keepTogether.length > 0 ? options.keepTogether : null;
+        this.maxGroupOverflow = options.maxGroupOverflow !== undefined ? options.maxGroupOverflow : 10000;
+        this.quiet = options.quiet || false;
+        // Output format name used in log messages
+        this.formatName = options.formatName || this.formatter.getFileExtension().slice(1);
+
+        this.fileIndex = 1;
+        this.rowCount = 0;
+        this.byteCount = 0;
+        this.overflowRows = 0;
+        this.lastGroupKey = null;
+        this.stream = null;
+        this.filePath = null;
+        this.nameValues = null;
+        this.lastRow = null;
+        this.firstSourceRow = null;
+        this.lastSourceRow = null;
+        // { filePath, partition, rows, firstSourceRow, lastSourceRow } for every closed part
+        this.completedParts = [];
+    }
+
+    get partsCreated() {
+        return this.fileIndex - 1;
+    }
+
+    get isOpen() {
+        return this.stream !== null;
+    }
+
+    getNameKey(row) {
+        return row ? this.keyColumns.map(column => encodeNameValue(row[column] ?? '')).join('-') : '';
+    }
+
+    /**
+     * Path of a part from the name template, relative to the partition directory
+     * unless the template places partitions itself with {partition}
+     */
+    resolvePartPath(values) {
+        const name = this.nameTemplate.render(values);
+        return path.join(this.nameTemplate.usesPartition ? this.outputDirectory : this.directory, name);
+    }
+
+    /**
+     * Claim a part's path, failing rather than overwriting a part written earlier in the run
+     */
+    claimPartPath(filePath) {
+        const resolved = path.resolve(filePath);
+        if (this.partPaths.has(resolved)) {
+            throw new PartPathCollisionError(`Name template gives two parts the same name: ${path.relative(this.outputDirectory, filePath)}`);
+        }
+        this.partPaths.add(resolved);
+    }
+
+    async openPart(firstRow = null) {
+        this.nameValues = {
+            ...this.nameContext,
+            index: this.fileIndex,
+            partition: this.partition,
+            ext: this.formatter.getFileExtension(),
+            firstKey: this.getNameKey(firstRow)
+        };
+
+        this.filePath = this.nameTemplate.resolvedAtClose
+            ? path.join(this.outputDirectory, `.part-${process.pid}-${++temporaryFileCounter}.partial`)
+            : this.resolvePartPath(this.nameValues);
+        if (!this.nameTemplate.resolvedAtClose) {
+            this.claimPartPath(this.filePath);
+        }
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        this.stream = fs.createWriteStream(this.filePath, { encoding: 'utf8' });
+        this.lastRow = null;
+        this.firstSourceRow = null;
+        this.lastSourceRow = null;
+        this.rowCount = 0;
+        this.byteCount = 0;
+        this.overflowRows = 0;
+
+        // Write headers using formatter
+        if (this.headers.length > 0) {
+            this.byteCount += await this.formatter.writeHeader(this.stream, this.headers);
+        }
+
+        if (!this.quiet && !this.nameTemplate.resolvedAtClose) {
+            console.log(`📝 Created new ${this.formatName.toUpperCase()} file: ${path.relative(this.outputDirectory, this.filePath)}`);
+        }
+        this.fileIndex++;
+    }
+
+    async closePart() {
+        if (!this.stream) return;
+
+        const stream = this.stream;
+        this.stream = null;
+
+        await this.formatter.writeFooter(stream);
+        // Wait until the file has been flushed to disk
+        await new Promise((resolve, reject) => {
+            stream.on('error', reject);
+            stream.end(resolve);
+        });
+
+        // Names using {lastKey} or {rows} are only known now
+        if (this.nameTemplate.resolvedAtClose) {
+            const finalPath = this.resolvePartPath({
+                ...this.nameValues,
+                lastKey: this.getNameKey(this.lastRow),
+                rows: this.rowCount
+            });
+            this.claimPartPath(finalPath);
+            fs.mkdirSync(path.dirname(finalPath), { recursive: true });
+            await fs.promises.rename(this.filePath, finalPath);
+            this.filePath = finalPath;
+
+            if (!this.quiet) {
+                console.log(`📝 Created new ${this.formatName.toUpperCase()} file: ${path.relative(this.outputDirectory, finalPath)}`);
+            }
+        }
+
+        this.completedParts.push({
+            filePath: this.filePath,
+            partition: this.partition,
+            rows: this.rowCount,
+            firstSourceRow: this.firstSourceRow,
+            lastSourceRow: this.lastSourceRow
+        });
+
+        if (!this.quiet) {
+            console.log(`✅ Completed file ${this.partsCreated}${this.partition ? ` in ${this.partition}` : ''} with ${this.rowCount} records`);
+        }
+    }
+
+    /**
+     * Remove the open part instead of completing it, when the row it was opened for is rejected.
+     * Its number and path are given to the next part.
+     */
+    async discardPart() {
+        const stream = this.stream;
+        this.stream = null;
+
+        try {
+            // Lets the formatter finish its file state before the part is reused
+            await this.formatter.writeFooter(stream);
+        } finally {
+            await new Promise((resolve, reject) => {
+                stream.on('error', reject);
+                stream.end(resolve);
+            });
+            await fs.promises.rm(this.filePath, { force: true });
+            this.partPaths.delete(path.resolve(this.filePath));
+            this.fileIndex--;
+        }
+
+        if (!this.quiet) {
+            console.log(`🗑️ Removed ${path.relative(this.outputDirectory, this.filePath)}: its first row was rejected`);
+        }
+    }
+
+    /**
+     * Row limit for the part that is currently open
+     */
+    getRowLimit() {
+        const partIndex = this.fileIndex - 2;
+        if (this.rowLimits && partIndex < this.rowLimits.length) {
+            return this.rowLimits[partIndex];
+        }
+        return this.maxRowsPerFile;
+    }
+
+    /**
+     * Whether the open part cannot take this row without exceeding the row or byte limit.
+     * A row that is larger than the byte limit on its own still gets a part to itself.
+     */
+    isFull(row) {
+        if (this.rowCount >= this.getRowLimit()) return true;
+        if (!this.maxBytesPerFile || this.rowCount === 0) return false;
+
+        const rowBytes = this.formatter.measureRow(row, this.headers);
+        return this.byteCount + rowBytes + this.formatter.measureFooter() > this.maxBytesPerFile;
+    }
+
+    getGroupKey(row) {
+        return JSON.stringify(this.keepTogether.map(column => row[column]));
+    }
+
+    /**
+     * Whether a full part may still take this row because it continues the current group
+     */
+    canOverflow(groupKey) {
+        if (!this.keepTogether || groupKey !== this.lastGroupKey) return false;
+
+        if (this.overflowRows >= this.maxGroupOverflow) {
+            if (!this.quiet) {
+                console.warn(`⚠️ Group ${groupKey} exceeds the overflow limit of ${this.maxGroupOverflow} rows and is split across parts`);
+            }
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Write a row, rolling over to a new part when the open one is full. sourceRow is the row's
+     * 1-based data row number in the input, recorded as each part's first and last source row.
+     */
+    async writeRow(row, sourceRow = null) {
+        const groupKey = this.keepTogether ? this.getGroupKey(row) : null;
+
+        // Roll over lazily so a full part is only followed by a new file when another row arrives
+        let opened = false;
+        if (!this.stream) {
+            await this.openPart(row);
+            opened = true;
+        } else if (this.isFull(row)) {
+            if (this.canOverflow(groupKey)) {
+                this.overflowRows++;
+            } else {
+                await this.closePart();
+                await this.openPart(row);
+                opened = true;
+            }
+        }
+
+        try {
+            this.byteCount += await this.formatter.writeRow(this.stream, row, this.headers);
+        } catch (error) {
+            // A part opened for a rejected row would otherwise be left behind without rows
+            if (opened) {
+                await this.discardPart();
+            }
+            throw error;
+        }
+        this.rowCount++;
+        this.lastRow = row;
+        this.lastGroupKey = groupKey;
+        if (this.firstSourceRow === null) {
+            this.firstSourceRow = sourceRow;
+        }
+        this.lastSourceRow = sourceRow;
+
+        // Respect backpressure from the file system
+        if (this.stream.writableNeedDrain) {
+            await once(this.stream, 'drain');
+        }
+    }
+
+    async finish() {
+        await this.closePart();
+    }
+}
+
+/**
+ * Escape a partition column name or value for use in a directory name, the way Hive does
+ */
+export function escapePartitionValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return DEFAULT_PARTITION_VALUE;
+    }
+    return String(value).replace(/[\x00-\x1F"#%'*/:=?\\\x7F{[\]^]/g,
+        char => '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+}
+
+/**
+ * Maps a row to Hive-style column=value directories, one level per column
+ */
+export class ColumnPartitioner {
+    constructor(columns) {
+        this.columns = columns;
+    }
+
+    getPath(row) {
+        return this.columns
+            .map(column => `${escapePartitionValue(column)}=${escapePartitionValue(row[column])}`)
+            .join('/');
+    }
+}
+
+/**
+ * Maps a row to yyyy, yyyy/mm, yyyy/mm/dd or yyyy/mm/dd/hh directories from a date column,
+ * read in the given IANA time zone
+ */
+export class DatePartitioner {
+    constructor(options = {}) {
+        this.column = options.column;
+        this.granularity = options.granularity || 'day';
+        this.timezone = options.timezone || 'UTC';
+
+        if (!this.column) {
+            throw new Error('partitionByDate requires a column');
+        }
+        this.columns = [this.column];
+        if (!DATE_GRANULARITIES.includes(this.granularity)) {
+            throw new Error(`Invalid date granularity: ${this.granularity} (expected ${DATE_GRANULARITIES.join(', ')})`);
+        }
+
+        // Throws a RangeError for unknown time zones
+        this.dateFormat = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            hourCycle: 'h23'
+        });
+    }
+
+    /**
+     * Year, month, day and hour of a value in the partitioner's time zone (null if it is not a date).
+     * Timestamps without an offset are wall-clock time in that zone, so they are taken as written
+     * rather than read in the time zone of the machine running the split.
+     */
+    getDateParts(value) {
+        const local = typeof value === 'string' ? value.trim().match(LOCAL_ISO_DATE_PATTERN) : null;
+        if (local) {
+            const [, year, month, day, hour = '00', minute = '00'] = local;
+            const check = new Date(Date.UTC(year, month - 1, day, hour, minute));
+            const valid = check.getUTCFullYear() === Number(year) && check.getUTCMonth() === month - 1
+                && check.getUTCDate() === Number(day) && check.getUTCHours() === Number(hour)
+                && check.getUTCMinutes() === Number(minute);
+            return valid ? { year, month, day, hour } : null;
+        }
+
+        const date = DataTypeConverter.parseDate(value);
+        if (!date) return null;
+
+        // Other strings without a zone ("Jan 5 2024 23:30") are parsed in the machine's time zone,
+        // so its clock fields are the ones written
+        if (typeof value === 'string' && !DATE_ZONE_PATTERN.test(value)) {
+            const pad = (number) => String(number).padStart(2, '0');
+            return {
+                year: String(date.getFullYear()),
+                month: pad(date.getMonth() + 1),
+                day: pad(date.getDate()),
+                hour: pad(date.getHours())
+            };
+        }
+
+        const parts = {};
+        this.dateFormat.formatToParts(date).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+        return parts;
+    }
+
+    getPath(row) {
+        const parts = this.getDateParts(row[this.column]);
+        if (!parts) return INVALID_DATE_PARTITION;
+
+        const segments = [parts.year, parts.month, parts.day, parts.hour];
+        return segments.slice(0, DATE_GRANULARITIES.indexOf(this.granularity) + 1).join('/');
+    }
+}
+
+/**
+ * 32-bit FNV-1a hash of a string's UTF-8 bytes; stable across runs, platforms and Node versions
+ */
+export function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (const byte of Buffer.from(text, 'utf8')) {
+        hash ^= byte;
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Maps a row to one of a fixed number of bucket=N directories by a stable hash of its key columns,
+ * so the same key always lands in the same bucket
+ */
+export class BucketPartitioner {
+    constructor(options = {}) {
+        this.columns = typeof options.columns === 'string'
+            ? options.columns.split(',').map(column => column.trim()).filter(Boolean)
+            : options.columns || [];
+        this.buckets = options.buckets;
+
+        if (this.columns.length === 0) {
+            throw new Error('bucketBy requires at least one column');
+        }
+        if (!Number.isInteger(this.buckets) || this.buckets < 1) {
+            throw new Error(`Invalid number of buckets: ${this.buckets}`);
+        }
+
+        // Zero-padded so bucket directories sort numerically
+        this.width = String(this.buckets - 1).length;
+    }
+
+    getBucket(row) {
+        // Keys are hashed in their text form, joined with a separator that does not occur in CSV text
+        const key = this.columns
+            .map(column => (row[column] === null || row[column] === undefined ? '' : String(row[column])))
+            .join('\u0001');
+        return fnv1a(key) % this.buckets;
+    }
+
+    getBucketPath(bucket) {
+        return `bucket=${String(bucket).padStart(this.width, '0')}`;
+    }
+
+    getPath(row) {
+        return this.getBucketPath(this.getBucket(row));
+    }
+}
+
+/**
+ * Routes rows into partition directories built by a list of partitioners (e.g.
+ * country=US/2025/06/01/bucket=3), each with its own part sequence. At most maxOpenFiles parts
+ * are open at once; when the cap is reached, the least recently written partition's part is
+ * closed and that partition continues in a new part.
+ */
+export class PartitionedWriter {
+    constructor(options = {}) {
+        // Objects with getPath(row), applied in order, one directory level (or more) each
+        this.partitioners = options.partitioners || [];
+        this.maxOpenFiles = options.maxOpenFiles || 100;
+        // Factory that creates the PartWriter for a partition directory
+        this.createPartWriter = options.createPartWriter;
+
+        this.writers = new Map();
+        // Open partitions in least-recently-written order
+        this.openWriters = new Map();
+    }
+
+    get partsCreated() {
+        let total = 0;
+        for (const writer of this.writers.values()) {
+            total += writer.partsCreated;
+        }
+        return total;
+    }
+
+    /**
+     * Closed parts of every partition
+     */
+    get completedParts() {
+        return [...this.writers.values()].flatMap(writer => writer.completedParts);
+    }
+
+    getPartitionPath(row) {
+        return this.partitioners.map(partitioner => partitioner.getPath(row)).join('/');
+    }
+
+    getWriter(partitionPath) {
+        let writer = this.writers.get(partitionPath);
+        if (!writer) {
+            writer = this.createPartWriter(partitionPath);
+            this.writers.set(partitionPath, writer);
+        }
+        return writer;
+    }
+
+    async writeRow(row, sourceRow = null) {
+        const partitionPath = this.getPartitionPath(row);
+        const writer = this.getWriter(partitionPath);
+
+        if (this.openWriters.has(partitionPath)) {
+            this.openWriters.delete(partitionPath);
+        } else {
+            // Make room by closing the partition that was written least recently
+            while (this.openWriters.size >= this.maxOpenFiles) {
+                const [oldestPath, oldest] = this.openWriters.entries().next().value;
+                this.openWriters.delete(oldestPath);
+                await oldest.closePart();
+            }
+        }
+        this.openWriters.set(partitionPath, writer);
+
+        await writer.writeRow(row, sourceRow);
+    }
+
+    async finish() {
+        for (const writer of this.openWriters.values()) {
+            await writer.finish();
+        }
+        this.openWriters.clear();
+    }
+
+    /**
+     * Give a partition a (header-only) part if no rows were written to it; call after finish()
+     */
+    async ensurePart(partitionPath) {
+        const writer = this.getWriter(partitionPath);
+        if (writer.partsCreated === 0) {
+            await writer.openPart();
+            await writer.finish();
+        }
+    }
+}
+
+export default {
+    DEFAULT_PARTITION_VALUE,
+    INVALID_DATE_PARTITION,
+    DEFAULT_NAME_TEMPLATE,
+    NameTemplate,
+    PartPathCollisionError,
+    createNameContext,
+    PartWriter,
+    ColumnPartitioner,
+    DatePartitioner,
+    BucketPartitioner,
+    PartitionedWriter,
+    escapePartitionValue,
+    fnv1a
+};
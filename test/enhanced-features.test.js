@@ -1,6 +1,16 @@
-import { CSVParser } from '../src/csvparser.js';
-import { createFormatter, getSupportedFormats } from '../src/formatters/index.js';
+import { CSVParser, parseByteSize } from '../src/csvparser.js';
+import { createFormatter, getSupportedFormats, inferColumnType, nestDottedKeys, assertNestableHeaders, InferredTypeError, XLSX_MAX_SHEET_ROWS } from '../src/formatters/index.js';
 import { ColumnFilter, DataTypeConverter, TransformationPipeline } from '../src/transformers/index.js';
+import { sniffDialect } from '../src/readers/index.js';
+import { detectPartFormat, readPartRows } from '../src/readers/parts.js';
+import { OrderedBatchWriter, WorkerPool } from '../src/workers/csv-worker.js';
+import { BucketPartitioner, PartWriter, PartPathCollisionError, fnv1a } from '../src/writers/index.js';
+import { parseRatios, ReservoirSampler, createRandom } from '../src/sampling/index.js';
+import { mergeParts } from '../src/merging/index.js';
+import { MANIFEST_FILE, hashFile, verifyOutput } from '../src/manifest/index.js';
+import parquet from 'parquetjs';
+import ExcelJS from 'exceljs';
+import { tableFromIPC } from 'apache-arrow';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -35,6 +45,11 @@ function cleanup(directory) {
     }
 }
 
+// List an output directory like fs.readdirSync, leaving out the run manifest
+function readOutputDir(directory, options) {
+    return fs.readdirSync(directory, options).filter(file => path.basename(String(file)) !== MANIFEST_FILE);
+}
+
 async function testBasicFunctionality() {
     console.log('🧪 Testing basic enhanced functionality...');
     
@@ -55,7 +70,7 @@ async function testBasicFunctionality() {
         await parser.process();
 
         // Check if files were created
-        const files = fs.readdirSync(outputDir);
+        const files = readOutputDir(outputDir);
         console.log(`✅ Created ${files.length} output files`);
         
         // Check first file content
@@ -93,7 +108,7 @@ async function testMultipleFormats() {
 
             await parser.process();
 
-            const files = fs.readdirSync(outputDir);
+            const files = readOutputDir(outputDir);
             const expectedExtension = format === 'csv' ? '.csv' : 
                                     format === 'json' ? '.json' :
                                     format === 'xml' ? '.xml' :
@@ -139,25 +154,24 @@ async function testDataTransformations() {
 
         await parser.process();
 
-        const files = fs.readdirSync(outputDir);
+        const files = readOutputDir(outputDir);
         console.log(`✅ Transformation test: ${files.length} files created`);
         
         // Check if transformations were applied
         if (files.length > 0) {
             const firstFile = files[0];
             const content = fs.readFileSync(path.join(outputDir, firstFile), 'utf8');
-            const lines = content.trim().split('\n').filter(line => line.trim());
 
-            if (lines.length > 0) {
+            if (content.trim()) {
                 try {
-                    const firstRecord = JSON.parse(lines[0]);
+                    const firstRecord = JSON.parse(content)[0];
                     const hasOnlySelectedColumns = Object.keys(firstRecord).length === 3;
                     const hasCorrectColumns = ['name', 'email', 'age'].every(col => col in firstRecord);
                     console.log(`✅ Column filtering: ${hasOnlySelectedColumns && hasCorrectColumns}`);
                     console.log(`✅ Type conversion: ${typeof firstRecord.age === 'number'}`);
                 } catch (parseError) {
                     console.log(`⚠️ JSON parsing issue: ${parseError.message}`);
-                    console.log(`First line content: "${lines[0]}"`);
+                    console.log(`File content: "${content}"`);
                 }
             }
         }
@@ -168,75 +182,1912 @@ async function testDataTransformations() {
     }
 }
 
-async function testFormatterComponents() {
-    console.log('🧪 Testing formatter components...');
-    
+async function testInputDialect() {
+    console.log('🧪 Testing configurable input dialect...');
+
+    const testFile = path.join(__dirname, 'test-data-dialect.csv');
+    fs.writeFileSync(testFile, [
+        'id;name;note',
+        "1;'Doe; John';plain",
+        "2;'O''Brien';'semi; colon'",
+        '3;Smith;last'
+    ].join('\n'));
+
     try {
-        // Test supported formats
-        const formats = getSupportedFormats();
-        console.log(`✅ Supported formats: ${formats.join(', ')}`);
-        
-        // Test formatter creation
-        for (const format of formats) {
-            const formatter = createFormatter(format);
-            console.log(`✅ ${format} formatter created: ${formatter.constructor.name}`);
+        for (const useMultipleProcesses of [false, true]) {
+            const outputDir = path.join(__dirname, `test-output-dialect-${useMultipleProcesses ? 'multi' : 'single'}`);
+            cleanup(outputDir);
+
+            const parser = new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: outputDir,
+                maxRowsPerFile: 10,
+                outputFormat: 'json',
+                inputDelimiter: ';',
+                quoteChar: "'",
+                useMultipleProcesses,
+                processCount: 2,
+                quiet: true
+            });
+
+            await parser.process();
+
+            const rows = readJSONRows(outputDir);
+            const first = rows.find(row => row.id === '1');
+            const second = rows.find(row => row.id === '2');
+
+            console.log(`✅ ${useMultipleProcesses ? 'Multi' : 'Single'}-threaded headers: ${parser.headers.join(',') === 'id,name,note'}`);
+            console.log(`✅ ${useMultipleProcesses ? 'Multi' : 'Single'}-threaded quoted delimiter: ${first?.name === 'Doe; John' && second?.note === 'semi; colon'}`);
+
+            cleanup(outputDir);
         }
-        
-    } catch (error) {
-        console.error(`❌ Formatter test failed: ${error.message}`);
+    } finally {
+        fs.unlinkSync(testFile);
     }
 }
 
-async function testTransformerComponents() {
-    console.log('🧪 Testing transformer components...');
-    
+async function testDialectSniffing() {
+    console.log('🧪 Testing dialect sniffing...');
+
+    const testFile = path.join(__dirname, 'test-data-sniff.csv');
+    const outputDir = path.join(__dirname, 'test-output-sniff');
+    fs.writeFileSync(testFile, '\uFEFFid|name|amount\r\n1|"Doe|John"|3.5\r\n2|Smith|4\r\n');
+
     try {
-        // Test column filter
-        const filter = new ColumnFilter(['name', 'email'], ['id']);
-        const testRow = { id: 1, name: 'John', email: 'john@test.com', age: 30 };
-        const filteredRow = filter.transform(testRow, ['id', 'name', 'email', 'age']);
-        
-        const hasCorrectColumns = 'name' in filteredRow && 'email' in filteredRow && !('id' in filteredRow);
-        console.log(`✅ Column filter: ${hasCorrectColumns}`);
-        
-        // Test type converter
-        const converter = new DataTypeConverter({ age: 'number', active: 'boolean' });
-        const testRow2 = { name: 'John', age: '30', active: 'true' };
-        const convertedRow = converter.transform(testRow2, ['name', 'age', 'active']);
-        
-        const hasCorrectTypes = typeof convertedRow.age === 'number' && typeof convertedRow.active === 'boolean';
-        console.log(`✅ Type converter: ${hasCorrectTypes}`);
-        
-        // Test transformation pipeline
-        const pipeline = new TransformationPipeline();
-        pipeline.addTransformer(filter);
-        pipeline.addTransformer(converter);
-        
-        const testRow3 = { id: 1, name: 'John', email: 'john@test.com', age: '30', active: 'true' };
-        const pipelineResult = pipeline.transform(testRow3, ['id', 'name', 'email', 'age', 'active']);
-        
-        const pipelineWorked = pipelineResult && 'name' in pipelineResult && !('id' in pipelineResult);
-        console.log(`✅ Transformation pipeline: ${pipelineWorked}`);
-        
-    } catch (error) {
-        console.error(`❌ Transformer test failed: ${error.message}`);
+        cleanup(outputDir);
+
+        const detected = await sniffDialect(testFile);
+        console.log(`✅ Delimiter detected: ${detected.delimiter === '|'}`);
+        console.log(`✅ Line terminator detected: ${detected.lineTerminator === 'CRLF'}`);
+        console.log(`✅ BOM and encoding detected: ${detected.bom === 'UTF-8' && detected.encoding === 'utf8'}`);
+        console.log(`✅ Header row detected: ${detected.hasHeader}`);
+
+        const parser = new CSVParser({
+            inputFilePath: testFile,
+            outputDirectory: outputDir,
+            outputFormat: 'jsonl',
+            autoDetectDialect: true,
+            quiet: true
+        });
+
+        await parser.process();
+
+        const files = readOutputDir(outputDir);
+        const firstRecord = JSON.parse(fs.readFileSync(path.join(outputDir, files[0]), 'utf8').split('\n')[0]);
+        console.log(`✅ Auto dialect split: ${firstRecord.id === '1' && firstRecord.name === 'Doe|John'}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
     }
 }
 
-// Run all tests
-async function runAllTests() {
-    console.log('🚀 Running Enhanced CSV Parser Tests\n');
-    
+// Read every JSON Lines record from an output directory
+function readJSONRows(directory) {
+    return readOutputDir(directory).flatMap(file => {
+        const content = fs.readFileSync(path.join(directory, file), 'utf8');
+        // .json parts are arrays, .jsonl parts have one object per line
+        return file.endsWith('.json')
+            ? JSON.parse(content)
+            : content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    });
+}
+
+async function testChunkBoundaryAlignment() {
+    console.log('🧪 Testing quote-aware chunk boundaries...');
+
+    const testFile = path.join(__dirname, 'test-data-rfc4180.csv');
+    const lines = ['id,comment,amount'];
+    for (let i = 1; i <= 200; i++) {
+        const comment = i % 3 === 0
+            ? `"line one of ${i}\nline two, with a comma"`
+            : i % 3 === 1 ? `"said ""hi"", then left"` : `plain ${i}`;
+        lines.push(`${i},${comment},${i * 1.5}`);
+    }
+    fs.writeFileSync(testFile, lines.join('\r\n') + '\r\n');
+
+    const outputs = {};
     try {
-        await testBasicFunctionality();
-        console.log();
-        
-        await testMultipleFormats();
-        console.log();
-        
-        await testDataTransformations();
-        console.log();
-        
+        for (const useMultipleProcesses of [false, true]) {
+            const outputDir = path.join(__dirname, `test-output-rfc4180-${useMultipleProcesses ? 'multi' : 'single'}`);
+            cleanup(outputDir);
+
+            const parser = new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: outputDir,
+                maxRowsPerFile: 1000,
+                outputFormat: 'json',
+                useMultipleProcesses,
+                processCount: 3,
+                chunkSizeBytes: 512,
+                quiet: true
+            });
+
+            await parser.process();
+            outputs[useMultipleProcesses] = readJSONRows(outputDir)
+                .sort((a, b) => Number(a.id) - Number(b.id));
+            cleanup(outputDir);
+        }
+
+        const single = JSON.stringify(outputs[false]);
+        const multi = JSON.stringify(outputs[true]);
+        console.log(`✅ All rows present in multi-threaded output: ${outputs[true].length === 200}`);
+        console.log(`✅ Multi-threaded rows match single-threaded rows: ${single === multi}`);
+
+    } finally {
+        fs.unlinkSync(testFile);
+    }
+}
+
+// Extract the individual row payloads from split output so runs can be compared regardless of file layout
+function readRowPayloads(directory, format) {
+    return readOutputDir(directory).flatMap(file => {
+        const content = fs.readFileSync(path.join(directory, file), 'utf8');
+        switch (format) {
+            case 'csv':
+            case 'tsv':
+                return content.split('\n').slice(1).filter(line => line.trim());
+            case 'xml':
+                return content.match(/<row>[\s\S]*?<\/row>/g) || [];
+            case 'json':
+                return JSON.parse(content).map(row => JSON.stringify(row));
+            default:
+                return content.split('\n').filter(line => line.trim());
+        }
+    }).sort();
+}
+
+// Parquet parts are binary, so their rows are read back through the part reader
+async function readParquetPayloads(directory) {
+    const payloads = [];
+    for (const file of readOutputDir(directory)) {
+        for await (const row of readPartRows(path.join(directory, file))) {
+            payloads.push(JSON.stringify(row));
+        }
+    }
+    return payloads.sort();
+}
+
+async function testWorkerPipelineParity() {
+    console.log('🧪 Testing worker transformations and formatters...');
+
+    const testFile = createTestCSV();
+    const transformations = {
+        excludeColumns: ['salary'],
+        typeConversions: { age: 'integer', active: 'boolean', name: 'uppercase' },
+        validation: { email: { required: true, type: 'email' }, age: { min: 26 } }
+    };
+
+    try {
+        for (const format of ['csv', 'json', 'jsonl', 'xml', 'tsv', 'parquet']) {
+            const outputs = {};
+            for (const useMultipleProcesses of [false, true]) {
+                const outputDir = path.join(__dirname, `test-output-parity-${format}-${useMultipleProcesses ? 'multi' : 'single'}`);
+                cleanup(outputDir);
+
+                const parser = new CSVParser({
+                    inputFilePath: testFile,
+                    outputDirectory: outputDir,
+                    maxRowsPerFile: 2,
+                    outputFormat: format,
+                    transformations,
+                    useMultipleProcesses,
+                    processCount: 2,
+                    chunkSizeBytes: 64,
+                    quiet: true
+                });
+
+                await parser.process();
+                outputs[useMultipleProcesses] = format === 'parquet'
+                    ? await readParquetPayloads(outputDir)
+                    : readRowPayloads(outputDir, format);
+                cleanup(outputDir);
+            }
+
+            const matches = outputs[false].length === 4 && JSON.stringify(outputs[false]) === JSON.stringify(outputs[true]);
+            console.log(`✅ ${format.toUpperCase()} multi-threaded output matches single-threaded: ${matches}`);
+
+            if (format === 'jsonl') {
+                const charlie = outputs[true].map(line => JSON.parse(line)).find(row => row.email === 'charlie@example.com');
+                console.log(`✅ Boolean "false" stays false in workers: ${charlie?.active === false && !('salary' in charlie)}`);
+            }
+        }
+    } finally {
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testGlobalPartNumbering() {
+    console.log('🧪 Testing global part numbering in multi-threaded mode...');
+
+    const testFile = path.join(__dirname, 'test-data-ordering.csv');
+    const lines = ['id,value'];
+    for (let i = 1; i <= 100; i++) {
+        lines.push(`${i},value ${i}`);
+    }
+    fs.writeFileSync(testFile, lines.join('\n') + '\n');
+
+    const outputs = {};
+    try {
+        for (const useMultipleProcesses of [false, true]) {
+            const outputDir = path.join(__dirname, `test-output-ordering-${useMultipleProcesses ? 'multi' : 'single'}`);
+            cleanup(outputDir);
+
+            const parser = new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: outputDir,
+                maxRowsPerFile: 7,
+                outputFormat: 'csv',
+                useMultipleProcesses,
+                processCount: 3,
+                chunkSizeBytes: 100,
+                quiet: true
+            });
+
+            await parser.process();
+
+            const files = readOutputDir(outputDir)
+                .sort((a, b) => parseInt(a.split('_')[2]) - parseInt(b.split('_')[2]));
+            outputs[useMultipleProcesses] = files.map(file => ({
+                file,
+                content: fs.readFileSync(path.join(outputDir, file), 'utf8')
+            }));
+            cleanup(outputDir);
+        }
+
+        const multi = outputs[true];
+        const rowCounts = multi.map(({ content }) => content.trim().split('\n').length - 1);
+        const ids = multi.flatMap(({ content }) => content.trim().split('\n').slice(1).map(line => Number(line.split(',')[0])));
+
+        console.log(`✅ Parts numbered split_part_1..${multi.length}: ${multi.every(({ file }, index) => file.startsWith(`split_part_${index + 1}_`))}`);
+        console.log(`✅ Every part but the last is full: ${rowCounts.slice(0, -1).every(count => count === 7) && rowCounts.at(-1) === 2}`);
+        console.log(`✅ Input row order preserved: ${ids.every((id, index) => id === index + 1)}`);
+        console.log(`✅ Identical to single-threaded output: ${JSON.stringify(outputs[false]) === JSON.stringify(multi)}`);
+
+    } finally {
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testBoundedMemoryStreaming() {
+    console.log('🧪 Testing bounded-memory streaming from workers...');
+
+    // Batches arriving out of order are written in chunk order, and over-budget batches wait for an ack
+    const written = [];
+    const writer = new OrderedBatchWriter(async (rows) => { written.push(...rows); }, { maxBufferedBytes: 100 });
+    let heldBackAcked = false;
+
+    const laterAck = writer.addBatch(1, ['c'], 60);
+    writer.addBatch(1, ['d'], 60).then(() => { heldBackAcked = true; });
+    await laterAck;
+    await new Promise(resolve => setImmediate(resolve));
+    const wasHeldBack = !heldBackAcked;
+
+    await writer.addBatch(0, ['a', 'b'], 10);
+    writer.completeChunk(0);
+    writer.completeChunk(1);
+    await writer.finish();
+
+    console.log(`✅ Over-budget batch held back: ${wasHeldBack && heldBackAcked}`);
+    console.log(`✅ Batches written in input order: ${written.join('') === 'abcd'}`);
+
+    // The pool never schedules more workers than the memory budget allows
+    const pool = new WorkerPool(8, { maxMemoryMB: 64 });
+    console.log(`✅ Memory budget limits concurrent workers: ${pool.maxWorkers === 2}`);
+
+    const testFile = createTestCSV();
+    const outputDir = path.join(__dirname, 'test-output-bounded');
+    try {
+        cleanup(outputDir);
+
+        const parser = new CSVParser({
+            inputFilePath: testFile,
+            outputDirectory: outputDir,
+            maxRowsPerFile: 2,
+            outputFormat: 'jsonl',
+            useMultipleProcesses: true,
+            processCount: 4,
+            chunkSizeBytes: 64,
+            maxMemoryMB: 32,
+            quiet: true
+        });
+
+        await parser.process();
+
+        const ids = readJSONRows(outputDir).map(row => row.id);
+        console.log(`✅ Low memory budget still processes every row: ${ids.length === 5}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+// Stand-in worker speaking the pool protocol: the first attempt at each chunk crashes, hung chunks never finish
+const FLAKY_WORKER_SOURCE = `
+import { parentPort } from 'worker_threads';
+parentPort.on('message', (message) => {
+    if (message.type === 'shutdown') return parentPort.close();
+    if (message.type !== 'job') return;
+    const { jobId, chunkIndex, hang, endless } = message.job;
+    if (hang) return;
+    if (endless) {
+        const send = () => parentPort.postMessage({ type: 'batch', jobId, chunkIndex, rows: [{ chunk: chunkIndex }], bytes: 16 });
+        parentPort.on('message', (reply) => { if (reply.type === 'ack') send(); });
+        return send();
+    }
+    if (jobId.endsWith(':1')) process.exit(1);
+    parentPort.postMessage({ type: 'batch', jobId, chunkIndex, rows: [{ chunk: chunkIndex }], bytes: 16 });
+    parentPort.once('message', () => {
+        parentPort.postMessage({ type: 'done', jobId, results: { chunkIndex, rowsProcessed: 1, errors: [] } });
+    });
+});
+`;
+
+async function testWorkerRetryAndCancel() {
+    console.log('🧪 Testing worker pool retries and cancellation...');
+
+    const workerScript = path.join(__dirname, 'flaky-worker.mjs');
+    fs.writeFileSync(workerScript, FLAKY_WORKER_SOURCE);
+
+    try {
+        // Crashed chunks are retried on a fresh worker and still complete in order
+        const pool = new WorkerPool(2, { workerScript });
+        const rows = [];
+        const retried = [];
+        const results = await pool.processChunks([{}, {}, {}], {}, {
+            onBatch: (chunkIndex, batch) => { rows.push(...batch); },
+            onRetry: (chunkIndex) => retried.push(chunkIndex)
+        });
+
+        console.log(`✅ Crashed chunks retried: ${retried.length === 3}`);
+        console.log(`✅ Retried chunks complete in order: ${results.map(result => result.chunkIndex).join(',') === '0,1,2'}`);
+        console.log(`✅ Every chunk delivered once: ${rows.length === 3}`);
+
+        // Cancelling rejects the run and clears the queue
+        const hungRun = pool.processChunks([{}, {}, {}], { hang: true });
+        pool.cancel();
+        const cancelled = await hungRun.then(() => false, error => error.message === 'Processing cancelled');
+        console.log(`✅ Cancel rejects outstanding work: ${cancelled && pool.queue.length === 0}`);
+
+        // Chunks that keep failing fail the run once retries are used up
+        const strictPool = new WorkerPool(1, { workerScript, maxRetries: 0 });
+        const failed = await strictPool.processChunks([{}], {}).then(() => false, () => true);
+        console.log(`✅ Exhausted retries fail the run: ${failed}`);
+
+        // A failed write stops the workers and rejects the run straight away
+        const writeError = new Error('disk full');
+        const failingPool = new WorkerPool(2, { workerScript });
+        const failingWriter = new OrderedBatchWriter(async () => { throw writeError; }, {
+            onError: (error) => failingPool.fail(error)
+        });
+        const endlessRun = failingPool.processChunks([{}, {}], { endless: true }, {
+            onBatch: (chunkIndex, batch, bytes) => failingWriter.addBatch(chunkIndex, batch, bytes)
+        });
+        let timer;
+        const outcome = await Promise.race([
+            endlessRun.then(() => 'resolved', error => error),
+            new Promise(resolve => { timer = setTimeout(resolve, 5000, 'timed out'); })
+        ]);
+        clearTimeout(timer);
+        console.log(`✅ A failed write stops the workers: ${outcome === writeError && failingPool.workers.length === 0}`);
+
+        await Promise.all([pool.terminate(), strictPool.terminate(), failingPool.terminate()]);
+
+    } finally {
+        fs.unlinkSync(workerScript);
+    }
+}
+
+async function testMergedWorkerStatistics() {
+    console.log('🧪 Testing statistics merged from workers...');
+
+    const testFile = createTestCSV();
+    const outputDir = path.join(__dirname, 'test-output-stats');
+
+    try {
+        const statistics = {};
+        for (const useMultipleProcesses of [false, true]) {
+            cleanup(outputDir);
+
+            const parser = new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: outputDir,
+                maxRowsPerFile: 2,
+                generateStats: true,
+                useMultipleProcesses,
+                processCount: 2,
+                chunkSizeBytes: 64,
+                quiet: true
+            });
+
+            await parser.process();
+            statistics[useMultipleProcesses] = parser.transformationPipeline.getStatistics();
+        }
+
+        const single = statistics[false];
+        const multi = statistics[true];
+        console.log(`✅ Statistics collected without transformations: ${single.totalRows === 5}`);
+        console.log(`✅ Merged statistics match single-threaded: ${JSON.stringify(single) === JSON.stringify(multi)}`);
+        console.log(`✅ Merged median and distinct count: ${multi.columns.age.numeric.median === '30.00' && multi.columns.active.uniqueCount === 2}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testMaxBytesPerFile() {
+    console.log('🧪 Testing size-limited output parts...');
+
+    console.log(`✅ Byte sizes parsed: ${parseByteSize('100MB') === 100 * 1024 * 1024 && parseByteSize('1.5kb') === 1536 && parseByteSize(2048) === 2048}`);
+
+    const testFile = createTestCSV();
+    const outputDir = path.join(__dirname, 'test-output-size');
+
+    try {
+        for (const format of ['csv', 'json', 'jsonl', 'xml', 'tsv', 'parquet', 'arrow']) {
+            for (const useMultipleProcesses of [false, true]) {
+                cleanup(outputDir);
+
+                const parser = new CSVParser({
+                    inputFilePath: testFile,
+                    outputDirectory: outputDir,
+                    maxBytesPerFile: { xml: '400B', parquet: '1600B', arrow: '1400B' }[format] || 160,
+                    outputFormat: format,
+                    useMultipleProcesses,
+                    processCount: 2,
+                    chunkSizeBytes: 64,
+                    quiet: true
+                });
+
+                await parser.process();
+
+                const files = readOutputDir(outputDir);
+                const withinLimit = files.every(file => fs.statSync(path.join(outputDir, file)).size <= parser.maxBytesPerFile);
+                const rows = format === 'arrow'
+                    ? files.reduce((total, file) => total + tableFromIPC(fs.readFileSync(path.join(outputDir, file))).numRows, 0)
+                    : (format === 'parquet' ? await readParquetPayloads(outputDir) : readRowPayloads(outputDir, format)).length;
+                const mode = useMultipleProcesses ? 'multi' : 'single';
+                console.log(`✅ ${format.toUpperCase()} (${mode}) parts within size limit: ${files.length > 1 && withinLimit && rows === 5}`);
+            }
+        }
+
+        // Whichever limit is reached first wins
+        cleanup(outputDir);
+        const parser = new CSVParser({
+            inputFilePath: testFile,
+            outputDirectory: outputDir,
+            maxRowsPerFile: 2,
+            maxBytesPerFile: '1MB',
+            quiet: true
+        });
+        await parser.process();
+        console.log(`✅ Row limit still applies with a size limit: ${readOutputDir(outputDir).length === 3}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testPartitionedOutput() {
+    console.log('🧪 Testing partitioned output...');
+
+    const testFile = path.join(__dirname, 'test-partitions.csv');
+    fs.writeFileSync(testFile, [
+        'id,country,tenant',
+        '1,US,a',
+        '2,DE,a',
+        '3,US,b',
+        '4,US,a',
+        '5,,a',
+        '6,DE,a/b'
+    ].join('\n'));
+    const outputDir = path.join(__dirname, 'test-output-partitions');
+
+    try {
+        for (const useMultipleProcesses of [false, true]) {
+            cleanup(outputDir);
+
+            const parser = new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: outputDir,
+                maxRowsPerFile: 3,
+                partitionBy: 'country',
+                maxOpenFiles: 1,
+                useMultipleProcesses,
+                processCount: 2,
+                chunkSizeBytes: 16,
+                quiet: true
+            });
+
+            await parser.process();
+
+            const mode = useMultipleProcesses ? 'multi' : 'single';
+            const directories = readOutputDir(outputDir).sort();
+            const usIds = readRowPayloads(path.join(outputDir, 'country=US'), 'csv').map(line => line.split(',')[0]);
+            console.log(`✅ Partition directories (${mode}): ${directories.join(',') === 'country=DE,country=US,country=__HIVE_DEFAULT_PARTITION__'}`);
+            console.log(`✅ Rows routed to their partition (${mode}): ${usIds.join(',') === '1,3,4'}`);
+            // With one open file, every switch between partitions starts a new part
+            console.log(`✅ Open-file cap closes parts (${mode}): ${readOutputDir(path.join(outputDir, 'country=US')).length === 2 && parser.output.partsCreated === 5}`);
+        }
+
+        // Nested partitions, with unsafe characters escaped
+        cleanup(outputDir);
+        const parser = new CSVParser({
+            inputFilePath: testFile,
+            outputDirectory: outputDir,
+            partitionBy: ['country', 'tenant'],
+            quiet: true
+        });
+        await parser.process();
+        console.log(`✅ Nested partitions escaped: ${fs.existsSync(path.join(outputDir, 'country=DE', 'tenant=a%2Fb'))}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testDatePartitionedOutput() {
+    console.log('🧪 Testing date-partitioned output...');
+
+    const testFile = path.join(__dirname, 'test-events.csv');
+    fs.writeFileSync(testFile, [
+        'id,created_at',
+        '1,2024-01-31T23:30:00Z',
+        '2,2024-02-01T08:00:00Z',
+        '3,not a date',
+        '4,',
+        '5,2024-01-15'
+    ].join('\n'));
+    const outputDir = path.join(__dirname, 'test-output-dates');
+
+    const listParts = (directory) => readOutputDir(directory, { recursive: true })
+        .filter(entry => fs.statSync(path.join(directory, entry)).isFile())
+        .map(entry => path.dirname(entry))
+        .sort();
+
+    try {
+        for (const useMultipleProcesses of [false, true]) {
+            cleanup(outputDir);
+
+            const parser = new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: outputDir,
+                partitionByDate: { column: 'created_at', granularity: 'day' },
+                useMultipleProcesses,
+                processCount: 2,
+                chunkSizeBytes: 32,
+                quiet: true
+            });
+            await parser.process();
+
+            const mode = useMultipleProcesses ? 'multi' : 'single';
+            const invalidIds = readRowPayloads(path.join(outputDir, '_invalid'), 'csv').map(line => line.split(',')[0]);
+            console.log(`✅ Day directories (${mode}): ${listParts(outputDir).join(',') === '2024/01/15,2024/01/31,2024/02/01,_invalid'}`);
+            console.log(`✅ Unparseable dates go to _invalid (${mode}): ${invalidIds.join(',') === '3,4'}`);
+        }
+
+        // The time zone decides which day or month a timestamp falls on
+        cleanup(outputDir);
+        const parser = new CSVParser({
+            inputFilePath: testFile,
+            outputDirectory: outputDir,
+            partitionByDate: { column: 'created_at', granularity: 'month', timezone: 'Asia/Tokyo' },
+            quiet: true
+        });
+        await parser.process();
+        const februaryIds = readRowPayloads(path.join(outputDir, '2024', '02'), 'csv').map(line => line.split(',')[0]);
+        console.log(`✅ Time zone applied: ${februaryIds.join(',') === '1,2'}`);
+
+        // Timestamps without an offset are wall-clock time in the configured zone, whatever the machine's zone
+        const localFile = path.join(__dirname, 'test-events-local.csv');
+        fs.writeFileSync(localFile, 'id,created_at\n1,2024-01-05 23:30:00\n2,Jan 5 2024 23:45\n3,2024-01-05T23:30:00Z\n');
+        const machineZone = process.env.TZ;
+        const layouts = [];
+        try {
+            for (const zone of ['UTC', 'America/New_York', 'Asia/Tokyo']) {
+                process.env.TZ = zone;
+                cleanup(outputDir);
+                await new CSVParser({
+                    inputFilePath: localFile,
+                    outputDirectory: outputDir,
+                    partitionByDate: { column: 'created_at', granularity: 'day', timezone: 'UTC' },
+                    quiet: true
+                }).process();
+                layouts.push(readRowPayloads(path.join(outputDir, '2024', '01', '05'), 'csv').map(line => line.split(',')[0]).join());
+            }
+        } finally {
+            if (machineZone === undefined) {
+                delete process.env.TZ;
+            } else {
+                process.env.TZ = machineZone;
+            }
+            fs.unlinkSync(localFile);
+        }
+        console.log(`✅ Timestamps without an offset land on the same day in any machine time zone: ${layouts.every(ids => ids === '1,2,3')}`);
+
+        let rejected = false;
+        try {
+            new CSVParser({ inputFilePath: testFile, partitionByDate: { column: 'created_at', timezone: 'Mars/Base' } });
+        } catch (error) {
+            rejected = true;
+        }
+        console.log(`✅ Unknown time zone rejected: ${rejected}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testBalancedParts() {
+    console.log('🧪 Testing balanced parts...');
+
+    const testFile = createTestCSV();
+    const outputDir = path.join(__dirname, 'test-output-parts');
+
+    const rowsPerPart = (directory) => readOutputDir(directory)
+        .sort((a, b) => parseInt(a.split('_')[2]) - parseInt(b.split('_')[2]))
+        .map(file => fs.readFileSync(path.join(directory, file), 'utf8').split('\n').filter(line => line.trim()).length - 1);
+
+    try {
+        for (const useMultipleProcesses of [false, true]) {
+            const mode = useMultipleProcesses ? 'multi' : 'single';
+            const expected = { 2: '3,2', 3: '2,2,1', 7: '1,1,1,1,1,0,0' };
+
+            for (const [targetParts, counts] of Object.entries(expected)) {
+                cleanup(outputDir);
+
+                const parser = new CSVParser({
+                    inputFilePath: testFile,
+                    outputDirectory: outputDir,
+                    targetParts: Number(targetParts),
+                    useMultipleProcesses,
+                    processCount: 2,
+                    chunkSizeBytes: 64,
+                    quiet: true
+                });
+                await parser.process();
+
+                console.log(`✅ ${targetParts} parts (${mode}): ${rowsPerPart(outputDir).join(',') === counts}`);
+            }
+
+            // Rows dropped by validation are not counted
+            cleanup(outputDir);
+            const parser = new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: outputDir,
+                targetParts: 2,
+                transformations: { validation: { age: { min: 26 } } },
+                generateStats: true,
+                useMultipleProcesses,
+                processCount: 2,
+                chunkSizeBytes: 64,
+                quiet: true
+            });
+            await parser.process();
+            const statsRows = parser.transformationPipeline.getStatistics().totalRows;
+            console.log(`✅ Balanced after filtering, stats counted once (${mode}): ${rowsPerPart(outputDir).join(',') === '2,2' && statsRows === 4}`);
+        }
+
+        // Keeping groups together could overfill a part, so the options are not combined
+        let combined = null;
+        try {
+            new CSVParser({ inputFilePath: testFile, outputDirectory: outputDir, targetParts: 2, keepTogether: 'name', quiet: true });
+        } catch (error) {
+            combined = error;
+        }
+        console.log(`✅ targetParts with keepTogether rejected: ${/cannot be combined with .*keepTogether/.test(combined?.message)}`);
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testBucketedOutput() {
+    console.log('🧪 Testing hash-bucketed output...');
+
+    // Standard FNV-1a test vectors keep bucket assignment stable across releases
+    console.log(`✅ FNV-1a hash: ${fnv1a('a') === 0xe40c292c && fnv1a('foobar') === 0xbf9cf968}`);
+
+    const partitioner = new BucketPartitioner({ columns: 'customer_id', buckets: 4 });
+    console.log(`✅ Bucket from key hash: ${partitioner.getBucket({ customer_id: '123' }) === fnv1a('123') % 4}`);
+
+    const testFile = path.join(__dirname, 'test-orders.csv');
+    const lines = ['order_id,customer_id'];
+    for (let order = 1; order <= 40; order++) {
+        lines.push(`${order},${order % 7}`);
+    }
+    fs.writeFileSync(testFile, lines.join('\n'));
+    const outputDir = path.join(__dirname, 'test-output-buckets');
+
+    try {
+        const layouts = [];
+        for (const useMultipleProcesses of [false, true]) {
+            cleanup(outputDir);
+
+            const parser = new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: outputDir,
+                maxRowsPerFile: 5,
+                bucketBy: { columns: ['customer_id'], buckets: 12 },
+                useMultipleProcesses,
+                processCount: 2,
+                chunkSizeBytes: 64,
+                quiet: true
+            });
+            await parser.process();
+
+            const mode = useMultipleProcesses ? 'multi' : 'single';
+            const buckets = readOutputDir(outputDir).sort();
+            const customersPerBucket = buckets.map(bucket => new Set(
+                readRowPayloads(path.join(outputDir, bucket), 'csv').map(line => line.split(',')[1])));
+            const keysStayTogether = customersPerBucket.every((customers, index) =>
+                [...customers].every(customer => `bucket=${String(fnv1a(customer) % 12).padStart(2, '0')}` === buckets[index]));
+            const partsWithinLimit = buckets.every(bucket => readOutputDir(path.join(outputDir, bucket)).every(file =>
+                fs.readFileSync(path.join(outputDir, bucket, file), 'utf8').split('\n').filter(line => line.trim()).length - 1 <= 5));
+
+            console.log(`✅ Fixed number of buckets (${mode}): ${buckets.length === 12 && buckets[0] === 'bucket=00'}`);
+            console.log(`✅ Each key in its hashed bucket (${mode}): ${keysStayTogether}`);
+            console.log(`✅ Rollover within buckets (${mode}): ${partsWithinLimit}`);
+
+            layouts.push(buckets.map(bucket => readRowPayloads(path.join(outputDir, bucket), 'csv').join(';')).join('|'));
+        }
+        console.log(`✅ Same buckets in both modes: ${layouts[0] === layouts[1]}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testKeepTogether() {
+    console.log('🧪 Testing groups kept together across parts...');
+
+    const testFile = path.join(__dirname, 'test-line-items.csv');
+    fs.writeFileSync(testFile, [
+        'order_id,item',
+        '1,a', '1,b',
+        '2,a', '2,b', '2,c',
+        '3,a',
+        '4,a', '4,b', '4,c', '4,d', '4,e', '4,f'
+    ].join('\n'));
+    const outputDir = path.join(__dirname, 'test-output-groups');
+
+    const ordersPerPart = () => readOutputDir(outputDir)
+        .sort((a, b) => parseInt(a.split('_')[2]) - parseInt(b.split('_')[2]))
+        .map(file => fs.readFileSync(path.join(outputDir, file), 'utf8').split('\n').slice(1)
+            .filter(line => line.trim()).map(line => line.split(',')[0]).join(''));
+
+    try {
+        for (const useMultipleProcesses of [false, true]) {
+            cleanup(outputDir);
+
+            const parser = new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: outputDir,
+                maxRowsPerFile: 3,
+                keepTogether: ['order_id'],
+                maxGroupOverflow: 2,
+                useMultipleProcesses,
+                processCount: 2,
+                chunkSizeBytes: 24,
+                quiet: true
+            });
+            await parser.process();
+
+            // Order 2 overflows part 1; order 4 is larger than part plus overflow and is split
+            const mode = useMultipleProcesses ? 'multi' : 'single';
+            console.log(`✅ Rollover waits for the key to change (${mode}): ${ordersPerPart().join('|') === '11222|34444|44'}`);
+        }
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testNameTemplates() {
+    console.log('🧪 Testing output file name templates...');
+
+    const rejects = (template) => {
+        try {
+            new CSVParser({ nameTemplate: template });
+            return false;
+        } catch (error) {
+            return true;
+        }
+    };
+    console.log(`✅ Invalid templates rejected up front: ${rejects('part{ext}') && rejects('{index}_{nope}') && rejects('../{index}') && rejects('{index:x}') && rejects('{index}_{firstKey}')}`);
+
+    // "part{index}{rows}" renders part 1 with 12 rows and part 11 with 2 rows both as part112
+    const touching = ['part{index}{rows}{ext}', 'part{index:03}{firstKey}{ext}', '{partition}{index}{ext}', '{lastKey}{index}{ext}'];
+    const separated = ['part{index}_{rows}{ext}', '{input}{index}{ext}', 'part-{index:04}{ext}', '{partition}/{index}{ext}'];
+    console.log(`✅ {index} running into a varying value rejected: ${touching.every(rejects) && !separated.some(rejects)}`);
+
+    const testFile = path.join(__dirname, 'test-named.csv');
+    fs.writeFileSync(testFile, [
+        'order_id,country',
+        '1,US', '1,US', '2,US', '3,DE', '4,US', '4,US', '5,DE'
+    ].join('\n'));
+    const outputDir = path.join(__dirname, 'test-output-names');
+
+    const listFiles = () => readOutputDir(outputDir, { recursive: true })
+        .filter(entry => fs.statSync(path.join(outputDir, entry)).isFile())
+        .sort();
+
+    try {
+        const layouts = [];
+        for (const useMultipleProcesses of [false, true]) {
+            cleanup(outputDir);
+
+            const parser = new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: outputDir,
+                maxRowsPerFile: 2,
+                partitionBy: ['country'],
+                keepTogether: ['order_id'],
+                nameTemplate: 'exports/{input}/{partition}/part-{index:03}_{firstKey}-{lastKey}_{rows}{ext}',
+                useMultipleProcesses,
+                processCount: 2,
+                chunkSizeBytes: 16,
+                quiet: true
+            });
+            await parser.process();
+            layouts.push(listFiles().join(','));
+        }
+
+        const expected = [
+            'exports/test-named/country=DE/part-001_3-5_2.csv',
+            'exports/test-named/country=US/part-001_1-1_2.csv',
+            'exports/test-named/country=US/part-002_2-4_3.csv'
+        ].map(file => path.normalize(file)).join(',');
+        console.log(`✅ Template placeholders rendered: ${layouts[0] === expected}`);
+        console.log(`✅ Same names in both modes: ${layouts[0] === layouts[1]}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testPartPathCollisions() {
+    console.log('🧪 Testing part path collisions...');
+
+    const outputDir = path.join(__dirname, 'test-output-collisions');
+    try {
+        cleanup(outputDir);
+        // Two writers of one run that would put a part at the same path
+        const partPaths = new Set();
+        const createWriter = () => new PartWriter({
+            directory: outputDir,
+            formatter: createFormatter('csv'),
+            headers: ['id'],
+            partPaths,
+            quiet: true
+        });
+        const first = createWriter();
+        await first.writeRow({ id: '1' });
+        await first.closePart();
+
+        let collision = null;
+        try {
+            await createWriter().writeRow({ id: '2' });
+        } catch (error) {
+            collision = error;
+        }
+        const kept = fs.readFileSync(first.completedParts[0].filePath, 'utf8').trim() === 'id\n1';
+        console.log(`✅ A part never overwrites another part of the run: ${collision instanceof PartPathCollisionError && kept}`);
+
+    } finally {
+        cleanup(outputDir);
+    }
+}
+
+async function testSampleSplit() {
+    console.log('🧪 Testing seeded train/test/val split...');
+
+    const rejects = (ratios) => {
+        try {
+            parseRatios(ratios);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    };
+    const weights = parseRatios('train=8,test=1,val=1');
+    console.log(`✅ Ratios parsed and normalized: ${weights[0].name === 'train' && weights[0].ratio === 0.8 && rejects('train=1') && rejects('a=1,a=2') && rejects('a=1,b=-1')}`);
+
+    const testFile = path.join(__dirname, 'test-labels.csv');
+    const lines = ['id,label'];
+    for (let id = 1; id <= 100; id++) {
+        lines.push(`${id},${id % 2 === 0 ? 'cat' : 'dog'}`);
+    }
+    fs.writeFileSync(testFile, lines.join('\n'));
+    const outputDir = path.join(__dirname, 'test-output-sample-split');
+
+    const readSets = () => Object.fromEntries(['train', 'test', 'val'].map(set =>
+        [set, readRowPayloads(path.join(outputDir, set), 'csv')]));
+
+    const run = async (options) => {
+        cleanup(outputDir);
+        const parser = new CSVParser({
+            inputFilePath: testFile,
+            outputDirectory: outputDir,
+            maxRowsPerFile: 30,
+            processCount: 2,
+            chunkSizeBytes: 128,
+            quiet: true,
+            ...options
+        });
+        await parser.process();
+        return readSets();
+    };
+
+    try {
+        const ratios = 'train=0.8,test=0.1,val=0.1';
+        const first = await run({ sampleSplit: { ratios, seed: 42 } });
+        const repeated = await run({ sampleSplit: { ratios, seed: '42' }, useMultipleProcesses: true });
+        const otherSeed = await run({ sampleSplit: { ratios, seed: 7 } });
+
+        console.log(`✅ Set sizes follow the ratios: ${first.train.length === 80 && first.test.length === 10 && first.val.length === 10}`);
+        console.log(`✅ Same seed gives the same sets in both modes: ${JSON.stringify(first) === JSON.stringify(repeated)}`);
+        console.log(`✅ Different seed gives different sets: ${JSON.stringify(first) !== JSON.stringify(otherSeed)}`);
+        console.log(`✅ Sets split into parts: ${readOutputDir(path.join(outputDir, 'train')).length === 3}`);
+
+        const stratified = await run({ sampleSplit: { ratios, seed: 42, stratifyBy: 'label' } });
+        const cats = (rows) => rows.filter(row => row.endsWith(',cat')).length;
+        console.log(`✅ Stratified sets keep class proportions: ${cats(stratified.train) === 40 && cats(stratified.test) === 5 && cats(stratified.val) === 5}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testReservoirSampling() {
+    console.log('🧪 Testing reservoir sampling...');
+
+    // Every item should be equally likely to end up in the sample
+    const hits = Array(10).fill(0);
+    const random = createRandom(1);
+    for (let trial = 0; trial < 2000; trial++) {
+        const sampler = new ReservoirSampler(3, random);
+        for (let item = 0; item < 10; item++) {
+            sampler.add(item);
+        }
+        sampler.getSample().forEach(item => hits[item]++);
+    }
+    console.log(`✅ Sample is uniform: ${hits.every(count => Math.abs(count - 600) < 90)}`);
+
+    const testFile = path.join(__dirname, 'test-sample.csv');
+    const lines = ['id,label'];
+    for (let id = 1; id <= 200; id++) {
+        lines.push(`${id},${id <= 190 ? (id % 2 === 0 ? 'cat' : 'dog') : 'bird'}`);
+    }
+    fs.writeFileSync(testFile, lines.join('\n'));
+    const outputFile = path.join(__dirname, 'test-output-sample', 'sample.jsonl');
+
+    const run = async (options) => {
+        const parser = new CSVParser({ inputFilePath: testFile, outputFormat: 'jsonl', quiet: true });
+        const result = await parser.sample({ outputFile, ...options });
+        return { result, rows: readJSONRows(path.dirname(outputFile)) };
+    };
+
+    try {
+        const first = await run({ size: 20, seed: 42 });
+        const repeated = await run({ size: 20, seed: '42' });
+        const otherSeed = await run({ size: 20, seed: 7 });
+        const ids = first.rows.map(row => Number(row.id));
+
+        console.log(`✅ Exactly K rows sampled: ${first.rows.length === 20 && first.result.rowsRead === 200}`);
+        console.log(`✅ Sample keeps input order: ${ids.every((id, index) => index === 0 || id > ids[index - 1])}`);
+        console.log(`✅ Same seed gives the same sample: ${JSON.stringify(first.rows) === JSON.stringify(repeated.rows)}`);
+        console.log(`✅ Different seed gives a different sample: ${JSON.stringify(first.rows) !== JSON.stringify(otherSeed.rows)}`);
+
+        const stratified = await run({ size: 15, by: 'label', seed: 42 });
+        const count = (label) => stratified.rows.filter(row => row.label === label).length;
+        console.log(`✅ Stratified sample takes K rows per value: ${count('cat') === 15 && count('dog') === 15 && count('bird') === 10}`);
+
+        const all = await run({ size: 500, seed: 1 });
+        console.log(`✅ Small input is returned whole: ${all.rows.length === 200}`);
+
+    } finally {
+        cleanup(path.dirname(outputFile));
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testMergeParts() {
+    console.log('🧪 Testing merging split parts...');
+
+    const testFile = createTestCSV();
+    const outputDir = path.join(__dirname, 'test-output-merge');
+    const merged = path.join(outputDir, 'merged.csv');
+
+    try {
+        cleanup(outputDir);
+        const original = fs.readFileSync(testFile, 'utf8').trim();
+
+        // Every format that can be read back splits into parts and merges back to the original rows
+        const roundTrips = [];
+        const readableFormats = getSupportedFormats().filter(format => detectPartFormat(`part${createFormatter(format).getFileExtension()}`));
+        for (const format of readableFormats) {
+            const parser = new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: path.join(outputDir, format),
+                maxRowsPerFile: 2,
+                outputFormat: format,
+                quiet: true
+            });
+            await parser.process();
+            const result = await mergeParts({ inputs: path.join(outputDir, format), outputFile: merged, quiet: true });
+            roundTrips.push(result.files.length === 3 && fs.readFileSync(merged, 'utf8').trim() === original);
+        }
+        console.log(`✅ Parts of every format merge back to the input: ${roundTrips.every(Boolean)}`);
+
+        // Parts of different formats and source files merge into one output format
+        const otherSource = path.join(outputDir, 'other.csv');
+        fs.writeFileSync(otherSource, 'id,name,email,age,active,salary,team\n6,Dana Lee,dana@example.com,31,true,58000,red\n');
+        const mixed = await mergeParts({
+            inputs: [path.join(outputDir, 'xml', '*.xml'), path.join(outputDir, 'jsonl')],
+            outputFile: path.join(outputDir, 'mixed', 'merged.jsonl'),
+            outputFormat: 'jsonl',
+            quiet: true
+        });
+        console.log(`✅ Globs, directories and formats merge together: ${mixed.totalRows === 10 && readJSONRows(path.join(outputDir, 'mixed')).length === 10}`);
+
+        let mismatchRejected = false;
+        try {
+            await mergeParts({ inputs: [path.join(outputDir, 'csv'), otherSource], outputFile: merged, quiet: true });
+        } catch (error) {
+            mismatchRejected = error.message.includes('extra team');
+        }
+        console.log(`✅ Different headers are rejected: ${mismatchRejected}`);
+
+        const union = await mergeParts({ inputs: [path.join(outputDir, 'csv'), otherSource], outputFile: merged, unionHeaders: true, quiet: true });
+        const lines = fs.readFileSync(merged, 'utf8').trim().split('\n');
+        console.log(`✅ Union headers fill missing values: ${union.totalRows === 6 && lines[0].endsWith(',team') && lines[1].endsWith(',') && lines[6].endsWith(',red')}`);
+
+        // Backslashes survive TSV, next to the tabs and line breaks it escapes, in headers as in values
+        const pathsSource = path.join(outputDir, 'paths.csv');
+        const pathsCSV = 'id,dir\\path\tname\n1,C:\\new\\temp\n2,tab\there\\\\n\n';
+        fs.writeFileSync(pathsSource, pathsCSV);
+        await new CSVParser({ inputFilePath: pathsSource, outputDirectory: path.join(outputDir, 'paths'), outputFormat: 'tsv', quiet: true }).process();
+        await mergeParts({ inputs: path.join(outputDir, 'paths'), outputFile: merged, quiet: true });
+        console.log(`✅ Backslashes and tabs in TSV parts merge back unchanged: ${fs.readFileSync(merged, 'utf8') === pathsCSV}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testRunManifest() {
+    console.log('🧪 Testing run manifest...');
+
+    const testFile = path.join(__dirname, 'test-manifest.csv');
+    const lines = ['id,value'];
+    for (let id = 1; id <= 100; id++) {
+        lines.push(`${id},${id % 10 === 0 ? -1 : id}`);
+    }
+    fs.writeFileSync(testFile, lines.join('\n'));
+    const outputDir = path.join(__dirname, 'test-output-manifest');
+
+    const run = async (options) => {
+        cleanup(outputDir);
+        const parser = new CSVParser({
+            inputFilePath: testFile,
+            outputDirectory: outputDir,
+            maxRowsPerFile: 25,
+            processCount: 2,
+            chunkSizeBytes: 128,
+            // Every tenth row has a negative value and is rejected
+            transformations: { validation: { value: { type: 'number', min: 0 } } },
+            quiet: true,
+            ...options
+        });
+        await parser.process();
+        return JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+    };
+
+    try {
+        const manifest = await run({});
+        const partFiles = readOutputDir(outputDir).sort();
+        console.log(`✅ Manifest lists every part: ${manifest.parts.length === 4 && JSON.stringify(manifest.parts.map(part => part.path).sort()) === JSON.stringify(partFiles)}`);
+        console.log(`✅ Row counts and rejected rows: ${manifest.totalRows === 90 && manifest.rejectedRows === 10 && manifest.input.rows === 100 && manifest.parts.every(part => part.rows <= 25)}`);
+
+        const checksums = await Promise.all(manifest.parts.map(async part => {
+            const file = path.join(outputDir, part.path);
+            return part.sha256 === await hashFile(file) && part.bytes === fs.statSync(file).size;
+        }));
+        console.log(`✅ Part sizes and checksums match the files: ${checksums.every(Boolean)}`);
+        console.log(`✅ Input size and checksum recorded: ${manifest.input.bytes === fs.statSync(testFile).size && manifest.input.sha256 === await hashFile(testFile)}`);
+
+        // Rows 1-27 hold 25 accepted rows (10 and 20 are rejected), so the second part starts at source row 28
+        const [first, second] = manifest.parts;
+        console.log(`✅ Source row ranges: ${first.firstSourceRow === 1 && first.lastSourceRow === 27 && second.firstSourceRow === 28 && manifest.parts[3].lastSourceRow === 99}`);
+        console.log(`✅ Headers and options recorded: ${JSON.stringify(first.headers) === '["id","value"]' && manifest.options.maxRowsPerFile === 25 && typeof manifest.durationSeconds === 'number'}`);
+
+        const multiThreaded = await run({ useMultipleProcesses: true });
+        const describe = ({ parts, totalRows, rejectedRows }) => JSON.stringify({ parts, totalRows, rejectedRows });
+        console.log(`✅ Same manifest in multi-threaded mode: ${describe(multiThreaded) === describe(manifest)}`);
+
+        // A part opened for a row the formatter rejects is removed: here the last row after a full
+        // part, and the only row of the "b" partition
+        fs.writeFileSync(testFile, ['id,joined,group', ...lines.slice(1, 51).map(line => `${line.split(',')[0]},2024-01-02,a`), '51,someday,a', '52,someday,b'].join('\n'));
+        for (const useMultipleProcesses of [false, true]) {
+            for (const partitionBy of [undefined, 'group']) {
+                const rejected = await run({
+                    outputFormat: 'sql',
+                    transformations: { typeConversions: { joined: 'date' } },
+                    partitionBy,
+                    useMultipleProcesses
+                });
+                const files = readOutputDir(outputDir, { recursive: true }).filter(file => file.endsWith('.sql'));
+                const mode = `${useMultipleProcesses ? 'multi' : 'single'}${partitionBy ? ', partitioned' : ''}`;
+                console.log(`✅ No empty part for a rejected row (${mode}): ${files.length === 2 && rejected.parts.length === 2 && rejected.parts.every(part => part.rows === 25) && rejected.rejectedRows === 2}`);
+            }
+        }
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testVerifyOutput() {
+    console.log('🧪 Testing output verification...');
+
+    const testFile = createTestCSV();
+    const outputDir = path.join(__dirname, 'test-output-verify');
+
+    try {
+        cleanup(outputDir);
+        const parser = new CSVParser({
+            inputFilePath: testFile,
+            outputDirectory: outputDir,
+            maxRowsPerFile: 2,
+            outputFormat: 'jsonl',
+            quiet: true
+        });
+        await parser.process();
+
+        const clean = await verifyOutput(outputDir, { checkInput: true });
+        console.log(`✅ Untouched output verifies: ${clean.ok && clean.parts.length === 3 && clean.input.rows === 5}`);
+
+        // Damage the copy: cut one part short, change a value in another and add a stray file
+        const [first, second] = clean.parts.map(part => path.join(outputDir, part.path));
+        fs.truncateSync(first, 10);
+        fs.writeFileSync(second, fs.readFileSync(second, 'utf8').replace('Bob', 'Rob'));
+        fs.writeFileSync(path.join(outputDir, 'stray.jsonl'), '{}\n');
+        const damaged = await verifyOutput(outputDir);
+        const statuses = damaged.parts.map(part => part.status).join(',');
+        console.log(`✅ Truncated, modified and extra files reported: ${!damaged.ok && statuses === 'truncated,modified,ok' && damaged.extra.join() === 'stray.jsonl'}`);
+
+        fs.unlinkSync(first);
+        const missing = await verifyOutput(outputDir);
+        console.log(`✅ Missing parts reported: ${missing.parts[0].status === 'missing'}`);
+
+        // The input gained a row after the run
+        fs.appendFileSync(testFile, '\n6,Dana Lee,dana@example.com,31,true,58000');
+        fs.rmSync(path.join(outputDir, 'stray.jsonl'));
+        const changedInput = await verifyOutput(outputDir, { inputFilePath: testFile });
+        console.log(`✅ Input row count mismatch reported: ${!changedInput.input.ok && changedInput.input.rows === 6}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testParquetOutput() {
+    console.log('🧪 Testing Parquet output...');
+
+    const testFile = path.join(__dirname, 'test-parquet.csv');
+    fs.writeFileSync(testFile, [
+        'id,name,score,active,joined,zip',
+        '1,Ann,1.5,true,2024-01-02,01234',
+        '2,Bob,,false,2024-02-03,02345',
+        '3,Cy,3,TRUE,,',
+        '4,Dee,4.25,false,2024-04-05,04567',
+        '5,Eve,5,true,2024-05-06,05678'
+    ].join('\n'));
+    const outputDir = path.join(__dirname, 'test-output-parquet');
+
+    try {
+        const inferred = [inferColumnType(['1', '', '-2']), inferColumnType(['1.5', '3']), inferColumnType(['TRUE', 'false']), inferColumnType(['01234'])];
+        console.log(`✅ Column types inferred from values: ${inferred.join() === 'integer,number,boolean,string'}`);
+
+        for (const compression of ['snappy', 'gzip']) {
+            cleanup(outputDir);
+            const parser = new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: outputDir,
+                maxRowsPerFile: 2,
+                outputFormat: 'parquet',
+                transformations: { typeConversions: { joined: 'date' } },
+                parquet: { compression, rowGroupSize: 1 },
+                quiet: true
+            });
+            await parser.process();
+
+            // Every part is a complete Parquet file with the same typed, nullable schema
+            const files = readOutputDir(outputDir);
+            const schemas = [];
+            const codecs = new Set();
+            let rowGroups = 0;
+            for (const file of files) {
+                const reader = await parquet.ParquetReader.openFile(path.join(outputDir, file));
+                const fields = reader.getSchema().fieldList;
+                schemas.push(fields.map(field => `${field.name}:${field.originalType || field.primitiveType}:${field.repetitionType}`).join());
+                rowGroups += reader.metadata.row_groups.length;
+                reader.metadata.row_groups.forEach(group => group.columns.forEach(column => codecs.add(column.meta_data.codec)));
+                await reader.close();
+            }
+            const expectedSchema = 'id:INT64:OPTIONAL,name:UTF8:OPTIONAL,score:DOUBLE:OPTIONAL,active:BOOLEAN:OPTIONAL,joined:DATE:OPTIONAL,zip:UTF8:OPTIONAL';
+            console.log(`✅ ${compression} parts share a typed schema: ${files.length === 3 && files.every(file => file.endsWith('.parquet')) && schemas.every(schema => schema === expectedSchema)}`);
+            console.log(`✅ ${compression} row groups and compression applied: ${rowGroups === 5 && codecs.size === 1 && !codecs.has(0)}`);
+
+            const rows = JSON.parse(await readParquetPayloads(outputDir).then(payloads => `[${payloads.join(',')}]`))
+                .sort((a, b) => a.id - b.id);
+            const [ann, bob, cy] = rows;
+            const valuesKept = ann.score === 1.5 && ann.active === true && ann.joined === '2024-01-02' && ann.zip === '01234';
+            const nullsKept = bob.score === '' && cy.joined === '' && cy.zip === '' && cy.active === true;
+            console.log(`✅ ${compression} values and nulls round-trip: ${rows.length === 5 && valuesKept && nullsKept}`);
+        }
+
+        // Types are inferred from the first row group; a later value that does not fit ends the run
+        fs.appendFileSync(testFile, '\nn/a,Fay,6,true,2024-06-07,06789');
+        for (const useMultipleProcesses of [false, true]) {
+            cleanup(outputDir);
+            const parser = new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: outputDir,
+                outputFormat: 'parquet',
+                parquet: { rowGroupSize: 2 },
+                useMultipleProcesses,
+                processCount: 2,
+                chunkSizeBytes: 64,
+                quiet: true
+            });
+            let failure = null;
+            try {
+                await parser.process();
+            } catch (error) {
+                failure = error;
+            }
+
+            const mode = useMultipleProcesses ? 'multi' : 'single';
+            const noManifest = !fs.existsSync(path.join(outputDir, MANIFEST_FILE));
+            console.log(`✅ Values that do not fit the inferred type fail the run (${mode}): ${failure instanceof InferredTypeError && /"n\/a" in column id/.test(failure.message) && noManifest}`);
+        }
+
+        // A column typed as a string takes the value
+        cleanup(outputDir);
+        await new CSVParser({
+            inputFilePath: testFile,
+            outputDirectory: outputDir,
+            outputFormat: 'parquet',
+            transformations: { typeConversions: { id: 'string' } },
+            parquet: { rowGroupSize: 2 },
+            quiet: true
+        }).process();
+        const stringIds = (await readParquetPayloads(outputDir)).map(payload => JSON.parse(payload).id).join();
+        console.log(`✅ A string column keeps the value: ${stringIds === '1,2,3,4,5,n/a'}`);
+
+        // A bad value in a configured column, while the other columns are still being inferred,
+        // rejects only its own row
+        const created = Array.from({ length: 10 }, (_, i) => `${i + 1},${i === 2 ? 'someday' : `2024-01-${String(i + 1).padStart(2, '0')}`}`);
+        fs.writeFileSync(testFile, ['id,created', ...created].join('\n'));
+        cleanup(outputDir);
+        const mixedParser = new CSVParser({
+            inputFilePath: testFile,
+            outputDirectory: outputDir,
+            outputFormat: 'parquet',
+            transformations: { typeConversions: { created: 'date' } },
+            parquet: { rowGroupSize: 5 },
+            quiet: true
+        });
+        await mixedParser.process();
+
+        const mixedIds = (await readParquetPayloads(outputDir)).map(payload => JSON.parse(payload).id).sort((a, b) => a - b).join();
+        const mixedManifest = JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+        console.log(`✅ Held-back rows survive a bad configured value: ${mixedIds === '1,2,4,5,6,7,8,9,10' && mixedParser.totalRowsProcessed === 9 && mixedManifest.totalRows === 9 && mixedManifest.parts[0].rows === 9}`);
+
+        // Parts without rows are still complete Parquet files
+        const emptyParts = async (lines, options) => {
+            fs.writeFileSync(testFile, lines.join('\n'));
+            const results = [];
+            for (const useMultipleProcesses of [false, true]) {
+                cleanup(outputDir);
+                const parser = new CSVParser({
+                    inputFilePath: testFile,
+                    outputDirectory: outputDir,
+                    outputFormat: 'parquet',
+                    useMultipleProcesses,
+                    processCount: 2,
+                    quiet: true,
+                    ...options
+                });
+                await parser.process();
+
+                const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+                const rows = [];
+                for (const file of readOutputDir(outputDir)) {
+                    let headers;
+                    const partRows = [];
+                    for await (const row of readPartRows(path.join(outputDir, file), 'parquet', { onHeaders: (partHeaders) => { headers = partHeaders; } })) {
+                        partRows.push(row);
+                    }
+                    rows.push(`${headers.join('|')}:${partRows.length}`);
+                }
+                results.push({ manifest, rows: rows.join() });
+            }
+            return results;
+        };
+
+        const headerOnly = await emptyParts(['id,name'], {});
+        console.log(`✅ Header-only input writes an empty Parquet part: ${headerOnly.every(({ manifest, rows }) => rows === 'id|name:0' && manifest.totalRows === 0 && manifest.parts.length === 1)}`);
+
+        const padded = await emptyParts(['id,name', '1,Ann', '2,Bob'], { targetParts: 4 });
+        console.log(`✅ More target parts than rows pads with empty Parquet parts: ${padded.every(({ manifest, rows }) => rows === 'id|name:1,id|name:1,id|name:0,id|name:0' && manifest.totalRows === 2 && manifest.parts.length === 4)}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testJSONOutput() {
+    console.log('🧪 Testing JSON array output...');
+
+    const testFile = path.join(__dirname, 'test-json.csv');
+    fs.writeFileSync(testFile, [
+        'id,name,address.city,address.zip',
+        '1,"Ann ""A""",Oslo,0150',
+        '2,Bob,Bergen,5003',
+        '3,Cy,,',
+        '4,Dee,Oslo,0151',
+        '5,Eve,Tromsø,9008'
+    ].join('\n'));
+    const outputDir = path.join(__dirname, 'test-output-json');
+
+    try {
+        const outputs = {};
+        for (const useMultipleProcesses of [false, true]) {
+            cleanup(outputDir);
+            const parser = new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: outputDir,
+                maxBytesPerFile: 200,
+                outputFormat: 'json',
+                json: { indent: 2, nest: true },
+                useMultipleProcesses,
+                processCount: 2,
+                chunkSizeBytes: 64,
+                quiet: true
+            });
+            await parser.process();
+
+            // Every part is a complete, pretty-printed array within the size limit
+            const files = readOutputDir(outputDir);
+            const contents = files.map(file => fs.readFileSync(path.join(outputDir, file), 'utf8'));
+            const valid = contents.every(content => {
+                try {
+                    return Array.isArray(JSON.parse(content)) && content.includes('\n    "address": {\n      "city"');
+                } catch (error) {
+                    return false;
+                }
+            });
+            const withinLimit = contents.every(content => Buffer.byteLength(content) <= 200);
+            const mode = useMultipleProcesses ? 'multi' : 'single';
+            console.log(`✅ Every JSON part is a valid indented array (${mode}): ${files.length > 1 && valid && withinLimit}`);
+
+            outputs[mode] = readJSONRows(outputDir);
+        }
+
+        const [ann, , cy] = outputs.single;
+        console.log(`✅ Dotted headers become nested objects: ${ann.address.city === 'Oslo' && ann.address.zip === '0150' && cy.address.city === '' && !('address.city' in ann)}`);
+        console.log(`✅ Multi-threaded JSON matches single-threaded: ${outputs.single.length === 5 && JSON.stringify(outputs.single) === JSON.stringify(outputs.multi)}`);
+
+        // Nested parts are read back (and merged) under their dotted headers
+        const mergedFile = path.join(outputDir, 'merged', 'all.csv');
+        await mergeParts({ inputs: [outputDir], outputFile: mergedFile, quiet: true });
+        const merged = fs.readFileSync(mergedFile, 'utf8').split('\n');
+        console.log(`✅ Nested JSON parts merge back to dotted columns: ${merged[0] === 'id,name,address.city,address.zip' && merged[1] === '1,"Ann ""A""",Oslo,0150'}`);
+
+        // Header-only and compact parts
+        const formatter = createFormatter('json');
+        const chunks = [];
+        const stream = { write: (text) => chunks.push(text) };
+        await formatter.writeHeader(stream, ['id']);
+        await formatter.writeFooter(stream);
+        const empty = chunks.join('');
+        chunks.length = 0;
+        await formatter.writeHeader(stream, ['id']);
+        await formatter.writeRow(stream, { id: '1' }, ['id']);
+        await formatter.writeRow(stream, { id: '2' }, ['id']);
+        await formatter.writeFooter(stream);
+        console.log(`✅ Empty and compact arrays are valid JSON: ${JSON.parse(empty).length === 0 && chunks.join('') === '[\n  {"id":"1"},\n  {"id":"2"}\n]\n'}`);
+
+        let conflict = null;
+        try {
+            await createFormatter('json', { nest: true }).writeHeader(stream, ['address', 'address.city']);
+        } catch (error) {
+            conflict = error;
+        }
+        console.log(`✅ Conflicting dotted headers are rejected: ${/address is both a column and a parent/.test(conflict?.message)}`);
+
+        // A run with conflicting headers fails before any part is written
+        const conflictFile = path.join(outputDir, 'conflict.csv');
+        const conflictDir = path.join(outputDir, 'conflict');
+        fs.writeFileSync(conflictFile, 'id,address,address.city\n1,x,Oslo\n2,y,Bergen\n');
+        let runError = null;
+        try {
+            await new CSVParser({ inputFilePath: conflictFile, outputDirectory: conflictDir, outputFormat: 'json', json: { nest: true }, quiet: true }).process();
+        } catch (error) {
+            runError = error;
+        }
+        const written = fs.existsSync(conflictDir) ? readOutputDir(conflictDir) : [];
+        console.log(`✅ Conflicting headers stop the run up front: ${/address is both a column and a parent/.test(runError?.message) && written.length === 0}`);
+
+        // Headers that would reach into Object.prototype are rejected, and nothing leaks into it
+        const reserved = ['__proto__.x', 'constructor.prototype.x', 'a.__proto__'].map(header => {
+            try {
+                assertNestableHeaders(['id', header]);
+                return false;
+            } catch (error) {
+                return /reserved name/.test(error.message);
+            }
+        });
+        let nestError = null;
+        try {
+            nestDottedKeys({ '__proto__.x': 'polluted' });
+        } catch (error) {
+            nestError = error;
+        }
+        const plain = nestDottedKeys({ constructor: 'a', 'prototype': 'b' });
+        console.log(`✅ Reserved key segments are rejected: ${reserved.every(Boolean) && nestError !== null && ({}).x === undefined && plain.constructor === 'a' && plain.prototype === 'b'}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testSQLOutput() {
+    console.log('🧪 Testing SQL output...');
+
+    const testFile = path.join(__dirname, 'test-sql.csv');
+    fs.writeFileSync(testFile, [
+        'id,name,price,active,joined,note',
+        '1,"O\'Brien",1.5,true,2024-01-02,"tab\there"',
+        '2,Bob,,false,,back\\slash',
+        '3,"Cy ""q""",3,TRUE,2024-03-04,'
+    ].join('\n'));
+    const outputDir = path.join(__dirname, 'test-output-sql');
+
+    const runSQL = async (sql, extra = {}) => {
+        cleanup(outputDir);
+        const parser = new CSVParser({
+            inputFilePath: testFile,
+            outputDirectory: outputDir,
+            outputFormat: 'sql',
+            transformations: { typeConversions: { joined: 'date' } },
+            sql,
+            quiet: true,
+            ...extra
+        });
+        await parser.process();
+        return readOutputDir(outputDir).map(file => fs.readFileSync(path.join(outputDir, file), 'utf8'));
+    };
+
+    try {
+        const [postgres] = await runSQL({ rowsPerStatement: 2 });
+        const expected = [
+            'CREATE TABLE IF NOT EXISTS "test-sql" (',
+            '  "id" BIGINT,',
+            '  "name" TEXT,',
+            '  "price" DOUBLE PRECISION,',
+            '  "active" BOOLEAN,',
+            '  "joined" DATE,',
+            '  "note" TEXT',
+            ');',
+            '',
+            'INSERT INTO "test-sql" ("id", "name", "price", "active", "joined", "note") VALUES',
+            '  (1, \'O\'\'Brien\', 1.5, TRUE, \'2024-01-02\', \'tab\there\'),',
+            '  (2, \'Bob\', NULL, FALSE, NULL, \'back\\slash\');',
+            'INSERT INTO "test-sql" ("id", "name", "price", "active", "joined", "note") VALUES',
+            '  (3, \'Cy "q"\', 3, TRUE, \'2024-03-04\', NULL);',
+            ''
+        ].join('\n');
+        console.log(`✅ Postgres DDL and batched INSERTs with typed literals: ${postgres === expected}`);
+
+        const [mysql] = await runSQL({ dialect: 'mysql', table: 'shop.items', createTable: false });
+        console.log(`✅ MySQL quoting and escaping: ${mysql.startsWith('INSERT INTO `shop`.`items` (`id`, `name`') && mysql.includes("'back\\\\slash'") && !mysql.includes('CREATE TABLE')}`);
+
+        // Dots in the input file name do not make the default table schema-qualified
+        const datedFile = path.join(__dirname, 'test-sql.2024.csv');
+        fs.copyFileSync(testFile, datedFile);
+        let dated;
+        try {
+            [dated] = await runSQL({ createTable: false }, { inputFilePath: datedFile });
+        } finally {
+            fs.unlinkSync(datedFile);
+        }
+        console.log(`✅ Default table name is one identifier: ${dated.startsWith('INSERT INTO "test-sql.2024" (')}`);
+
+        const [sqlite] = await runSQL({ dialect: 'sqlite' });
+        console.log(`✅ SQLite types and booleans: ${sqlite.includes('"id" INTEGER') && sqlite.includes('"joined" TEXT') && sqlite.includes("(1, 'O''Brien', 1.5, 1, '2024-01-02'")}`);
+
+        const [copy] = await runSQL({ copy: true, createTable: false });
+        const copyExpected = [
+            'COPY "test-sql" ("id", "name", "price", "active", "joined", "note") FROM stdin;',
+            '1\tO\'Brien\t1.5\tt\t2024-01-02\ttab\\there',
+            '2\tBob\t\\N\tf\t\\N\tback\\\\slash',
+            '3\tCy "q"\t3\tt\t2024-03-04\t\\N',
+            '\\.',
+            ''
+        ].join('\n');
+        console.log(`✅ Postgres COPY block: ${copy === copyExpected}`);
+
+        // Every size-limited part is a complete script, the same in single- and multi-threaded mode
+        const layouts = [];
+        for (const useMultipleProcesses of [false, true]) {
+            const parts = await runSQL({}, { maxBytesPerFile: 300, useMultipleProcesses, processCount: 2, chunkSizeBytes: 64 });
+            const complete = parts.every(part => part.startsWith('CREATE TABLE') && part.trimEnd().endsWith(';') && Buffer.byteLength(part) <= 300);
+            layouts.push(parts.length > 1 && complete ? parts.join('|') : null);
+        }
+        console.log(`✅ Size-limited SQL parts are complete scripts: ${layouts[0] !== null && layouts[0] === layouts[1]}`);
+
+        // Types are inferred from the first rows; a later value that does not fit is an error, not a skipped row
+        const inferred = createFormatter('sql', { inferenceRows: 2 });
+        const sink = { text: '', write(chunk) { this.text += chunk; } };
+        await inferred.writeHeader(sink, ['id']);
+        await inferred.writeRow(sink, { id: '1' }, ['id']);
+        await inferred.writeRow(sink, { id: '2' }, ['id']);
+        let inferredError = null;
+        try {
+            await inferred.writeRow(sink, { id: 'N/A' }, ['id']);
+        } catch (error) {
+            inferredError = error;
+        }
+        console.log(`✅ Values that do not fit the inferred type are not skipped: ${inferredError instanceof InferredTypeError && sink.text.includes('"id" BIGINT')}`);
+
+        let copyError = null;
+        try {
+            createFormatter('sql', { dialect: 'mysql', copy: true });
+        } catch (error) {
+            copyError = error;
+        }
+        console.log(`✅ COPY is rejected outside postgres: ${/only supported for the postgres dialect/.test(copyError?.message)}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testXLSXOutput() {
+    console.log('🧪 Testing XLSX output...');
+
+    const testFile = path.join(__dirname, 'test-xlsx.csv');
+    fs.writeFileSync(testFile, [
+        'id,zip,price,active,joined,note',
+        '1,01234,1.5,true,2024-01-02,first',
+        '2,02345,,false,,second',
+        '3,00001,3,TRUE,2024-03-04,',
+        '4,04567,4.25,false,2024-04-05,fourth',
+        '5,05678,5,true,2024-05-06,fifth'
+    ].join('\n'));
+    const outputDir = path.join(__dirname, 'test-output-xlsx');
+
+    try {
+        const outputs = {};
+        for (const useMultipleProcesses of [false, true]) {
+            cleanup(outputDir);
+            const parser = new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: outputDir,
+                maxRowsPerFile: 2,
+                outputFormat: 'xlsx',
+                transformations: { typeConversions: { id: 'integer', price: 'number', active: 'boolean', joined: 'date' } },
+                useMultipleProcesses,
+                processCount: 2,
+                chunkSizeBytes: 64,
+                quiet: true
+            });
+            await parser.process();
+
+            const rows = [];
+            for (const file of readOutputDir(outputDir)) {
+                for await (const row of readPartRows(path.join(outputDir, file))) {
+                    rows.push(row);
+                }
+            }
+            outputs[useMultipleProcesses ? 'multi' : 'single'] = rows;
+        }
+
+        const files = readOutputDir(outputDir);
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(path.join(outputDir, files[0]));
+        const sheet = workbook.worksheets[0];
+        const header = sheet.getRow(1);
+        const first = sheet.getRow(2);
+        const second = sheet.getRow(3);
+        console.log(`✅ Header row is bold and frozen: ${files.length === 3 && header.getCell(1).value === 'id' && header.font?.bold === true && sheet.views[0]?.state === 'frozen' && sheet.views[0]?.ySplit === 1}`);
+
+        const typed = first.getCell(1).type === ExcelJS.ValueType.Number
+            && first.getCell(3).value === 1.5
+            && first.getCell(4).type === ExcelJS.ValueType.Boolean
+            && first.getCell(5).type === ExcelJS.ValueType.Date && first.getCell(5).numFmt === 'yyyy-mm-dd';
+        const text = first.getCell(2).type === ExcelJS.ValueType.String && first.getCell(2).value === '01234';
+        console.log(`✅ Converted values are typed cells, other values stay text: ${typed && text && second.getCell(3).value === null}`);
+
+        const [one, two] = outputs.single;
+        const readBack = one.id === 1 && one.zip === '01234' && one.active === true && one.joined === '2024-01-02' && two.price === '' && two.joined === '';
+        console.log(`✅ XLSX parts read back, same in multi-threaded mode: ${outputs.single.length === 5 && readBack && JSON.stringify(outputs.single) === JSON.stringify(outputs.multi)}`);
+
+        // A full sheet rolls over to the next one, with its own header row
+        const workbookFile = path.join(outputDir, 'sheets.xlsx');
+        const formatter = createFormatter('xlsx', { maxRowsPerSheet: 3 });
+        const stream = fs.createWriteStream(workbookFile);
+        await formatter.writeHeader(stream, ['id']);
+        for (let id = 1; id <= 5; id++) {
+            await formatter.writeRow(stream, { id: String(id) }, ['id']);
+        }
+        await formatter.writeFooter(stream);
+        await new Promise(resolve => stream.end(resolve));
+
+        const rolled = new ExcelJS.Workbook();
+        await rolled.xlsx.readFile(workbookFile);
+        const sheetRows = rolled.worksheets.map(worksheet => worksheet.getSheetValues().filter(Boolean).map(row => row[1]).join());
+        console.log(`✅ Full sheets roll over to a new sheet: ${sheetRows.join('|') === 'id,1,2|id,3,4|id,5'}`);
+        console.log(`✅ Sheets never exceed Excel's row limit: ${createFormatter('xlsx', { maxRowsPerSheet: 2000000 }).maxRowsPerSheet === XLSX_MAX_SHEET_ROWS && XLSX_MAX_SHEET_ROWS === 1048576}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testArrowOutput() {
+    console.log('🧪 Testing Arrow output...');
+
+    const testFile = path.join(__dirname, 'test-arrow.csv');
+    fs.writeFileSync(testFile, [
+        'id,name,score,active,joined,zip',
+        '1,Ann,1.5,true,2024-01-02,01234',
+        '2,Bob,,false,2024-02-03,02345',
+        '3,Cy,3,TRUE,,',
+        '4,Dee,4.25,false,2024-04-05,04567',
+        '5,Eve,5,true,2024-05-06,05678'
+    ].join('\n'));
+    const outputDir = path.join(__dirname, 'test-output-arrow');
+
+    try {
+        for (const format of ['file', 'stream']) {
+            const outputs = {};
+            for (const useMultipleProcesses of [false, true]) {
+                cleanup(outputDir);
+                const parser = new CSVParser({
+                    inputFilePath: testFile,
+                    outputDirectory: outputDir,
+                    maxRowsPerFile: 3,
+                    outputFormat: 'arrow',
+                    transformations: { typeConversions: { joined: 'date' } },
+                    arrow: { format, batchSize: 2 },
+                    useMultipleProcesses,
+                    processCount: 2,
+                    chunkSizeBytes: 64,
+                    quiet: true
+                });
+                await parser.process();
+
+                const rows = [];
+                for (const file of readOutputDir(outputDir)) {
+                    for await (const row of readPartRows(path.join(outputDir, file))) {
+                        rows.push(row);
+                    }
+                }
+                outputs[useMultipleProcesses ? 'multi' : 'single'] = rows;
+            }
+
+            // Every part is a complete IPC file or stream with the same typed, nullable schema
+            const files = readOutputDir(outputDir);
+            const extension = format === 'file' ? '.arrow' : '.arrows';
+            const tables = files.map(file => tableFromIPC(fs.readFileSync(path.join(outputDir, file))));
+            const schemas = tables.map(table => table.schema.fields.map(field => `${field.name}:${field.type}:${field.nullable}`).join());
+            const expectedSchema = 'id:Int64:true,name:Utf8:true,score:Float64:true,active:Bool:true,joined:Date32<DAY>:true,zip:Utf8:true';
+            const magic = fs.readFileSync(path.join(outputDir, files[0])).subarray(0, 6).toString() === 'ARROW1';
+            console.log(`✅ ${format} parts share a typed schema: ${files.length === 2 && files.every(file => file.endsWith(extension)) && magic === (format === 'file') && schemas.every(schema => schema === expectedSchema)}`);
+            console.log(`✅ ${format} rows are written in record batches: ${tables.map(table => table.batches.length).join() === '2,1'}`);
+
+            const [ann, bob, cy] = outputs.single;
+            const valuesKept = ann.id === 1 && ann.score === 1.5 && ann.active === true && ann.joined === '2024-01-02' && ann.zip === '01234';
+            const nullsKept = bob.score === '' && cy.joined === '' && cy.zip === '' && cy.active === true;
+            console.log(`✅ ${format} values and nulls round-trip, same in multi-threaded mode: ${outputs.single.length === 5 && valuesKept && nullsKept && JSON.stringify(outputs.single) === JSON.stringify(outputs.multi)}`);
+        }
+
+        // Types are inferred from the first batch; a later value that does not fit ends the run
+        fs.appendFileSync(testFile, '\nn/a,Fay,6,true,2024-06-07,06789');
+        cleanup(outputDir);
+        let failure = null;
+        try {
+            await new CSVParser({
+                inputFilePath: testFile,
+                outputDirectory: outputDir,
+                outputFormat: 'arrow',
+                arrow: { batchSize: 2 },
+                quiet: true
+            }).process();
+        } catch (error) {
+            failure = error;
+        }
+        console.log(`✅ Values that do not fit the inferred type fail the run: ${failure instanceof InferredTypeError}`);
+
+        let unsupported = false;
+        try {
+            createFormatter('arrow', { ipcFormat: 'feather' });
+        } catch (error) {
+            unsupported = error.message.includes('Unsupported Arrow IPC format');
+        }
+        console.log(`✅ Unknown IPC formats are rejected: ${unsupported}`);
+
+    } finally {
+        cleanup(outputDir);
+        fs.unlinkSync(testFile);
+    }
+}
+
+async function testFormatterComponents() {
+    console.log('🧪 Testing formatter components...');
+    
+    try {
+        // Test supported formats
+        const formats = getSupportedFormats();
+        console.log(`✅ Supported formats: ${formats.join(', ')}`);
+        
+        // Test formatter creation
+        for (const format of formats) {
+            const formatter = createFormatter(format);
+            console.log(`✅ ${format} formatter created: ${formatter.constructor.name}`);
+        }
+        
+    } catch (error) {
+        console.error(`❌ Formatter test failed: ${error.message}`);
+    }
+}
+
+async function testTransformerComponents() {
+    console.log('🧪 Testing transformer components...');
+    
+    try {
+        // Test column filter
+        const filter = new ColumnFilter(['name', 'email'], ['id']);
+        const testRow = { id: 1, name: 'John', email: 'john@test.com', age: 30 };
+        const filteredRow = filter.transform(testRow, ['id', 'name', 'email', 'age']);
+        
+        const hasCorrectColumns = 'name' in filteredRow && 'email' in filteredRow && !('id' in filteredRow);
+        console.log(`✅ Column filter: ${hasCorrectColumns}`);
+        
+        // Test type converter
+        const converter = new DataTypeConverter({ age: 'number', active: 'boolean' });
+        const testRow2 = { name: 'John', age: '30', active: 'true' };
+        const convertedRow = converter.transform(testRow2, ['name', 'age', 'active']);
+        
+        const hasCorrectTypes = typeof convertedRow.age === 'number' && typeof convertedRow.active === 'boolean';
+        console.log(`✅ Type converter: ${hasCorrectTypes}`);
+        
+        // Test transformation pipeline
+        const pipeline = new TransformationPipeline();
+        pipeline.addTransformer(filter);
+        pipeline.addTransformer(converter);
+        
+        const testRow3 = { id: 1, name: 'John', email: 'john@test.com', age: '30', active: 'true' };
+        const pipelineResult = pipeline.transform(testRow3, ['id', 'name', 'email', 'age', 'active']);
+        
+        const pipelineWorked = pipelineResult && 'name' in pipelineResult && !('id' in pipelineResult);
+        console.log(`✅ Transformation pipeline: ${pipelineWorked}`);
+        
+    } catch (error) {
+        console.error(`❌ Transformer test failed: ${error.message}`);
+    }
+}
+
+// Run all tests
+async function runAllTests() {
+    console.log('🚀 Running Enhanced CSV Parser Tests\n');
+    
+    try {
+        await testBasicFunctionality();
+        console.log();
+        
+        await testMultipleFormats();
+        console.log();
+        
+        await testDataTransformations();
+        console.log();
+        
+        await testInputDialect();
+        console.log();
+
+        await testDialectSniffing();
+        console.log();
+
+        await testChunkBoundaryAlignment();
+        console.log();
+
+        await testWorkerPipelineParity();
+        console.log();
+
+        await testGlobalPartNumbering();
+        console.log();
+
+        await testBoundedMemoryStreaming();
+        console.log();
+
+        await testWorkerRetryAndCancel();
+        console.log();
+
+        await testMergedWorkerStatistics();
+        console.log();
+
+        await testMaxBytesPerFile();
+        console.log();
+
+        await testPartitionedOutput();
+        console.log();
+
+        await testDatePartitionedOutput();
+        console.log();
+
+        await testBalancedParts();
+        console.log();
+
+        await testBucketedOutput();
+        console.log();
+
+        await testKeepTogether();
+        console.log();
+
+        await testNameTemplates();
+        console.log();
+        await testPartPathCollisions();
+        console.log();
+
+        await testSampleSplit();
+        console.log();
+
+        await testReservoirSampling();
+        console.log();
+
+        await testMergeParts();
+        console.log();
+
+        await testRunManifest();
+        console.log();
+
+        await testVerifyOutput();
+        console.log();
+
+        await testParquetOutput();
+        console.log();
+
+        await testJSONOutput();
+        console.log();
+
+        await testSQLOutput();
+        console.log();
+
+        await testXLSXOutput();
+        console.log();
+        await testArrowOutput();
+        console.log();
+
         await testFormatterComponents();
         console.log();
         